@@ -1,13 +1,99 @@
 'use client';
 
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import { ArrowRight, RefreshCcw, FileDown } from "lucide-react";
+import { ArrowRight, RefreshCcw, FileDown, Save, Trash2, Link2, Upload, Download } from "lucide-react";
 import { Card, CardHeader, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
 import { Slider } from "@/components/ui/slider";
+import {
+  CAR_KG_CO2E_PER_KM,
+  DEFAULT_PRICING,
+  DEFAULT_SUBSTRATES,
+  DEFAULT_UNCERTAINTY,
+  FLIGHT_KG_CO2E,
+  GOAL_INPUTS,
+  GOAL_OUTPUTS,
+  GOAL_SCHEMA,
+  HOUSEHOLD_KG_CO2E_PER_YEAR,
+  PARAM_KEYS,
+  PARAM_SCHEMA,
+  PRICING_FIELDS,
+  PRICING_KINDS,
+  PRICING_SCHEMA,
+  PROJECTION_SCHEMA,
+  SPEC_FIELDS,
+  SPEC_SCHEMA,
+  STATE_VERSION,
+  TREE_KG_CO2_PER_YEAR,
+  UNCERTAIN_KEYS,
+  annualEquivalent,
+  areaIn,
+  checkDist,
+  checkParam,
+  checkSpec,
+  compareActuals,
+  computeFleet,
+  computeImpact,
+  computeMaterialSavings,
+  computeProjection,
+  computeROI,
+  computeSensitivity,
+  decodeStateFromHash,
+  encodeStateToHash,
+  goalSeek,
+  haasCost,
+  lengthIn,
+  mergeCatalog,
+  migrateContractYears,
+  migrateParams,
+  migratePricing,
+  paramConversion,
+  parseCatalogCSV,
+  parseProductionCSV,
+  pricingFor,
+  pricingValid,
+  runMonteCarlo,
+  snapReduction,
+  specConversion,
+  stateFromJSON,
+  stateToJSON,
+  validateParams,
+  validatePricing,
+  validateProjection,
+  validateState,
+} from "./engine/src/index.ts";
+import type {
+  ActualsPeriod,
+  ActualsReport,
+  CalculatorState,
+  DecodedState,
+  FleetResult,
+  GoalOutput,
+  MonteCarloResult,
+  Press,
+  PricingField,
+  PricingModel,
+  ProductionJob,
+  ProjectionParams,
+  ROIParams,
+  ROIResult,
+  SensitivityRow,
+  SpecField,
+  Substrate,
+  SubstrateSpec,
+  TriangularDist,
+  UncertainKey,
+  Uncertainty,
+  UnitConversion,
+  UnitSystem,
+  ValidationMessages,
+  VolumeTier,
+} from "./engine/src/index.ts";
+import { CURRENCIES, DEFAULT_RATES, LANGS, MESSAGES, NUMBER_LOCALES, currencySymbol } from "./i18n.ts";
+import type { Currency, Lang, Messages, MethodValues } from "./i18n.ts";
 
 /**
  * DeltaOne ROI Calculator
@@ -16,71 +102,392 @@ import { Slider } from "@/components/ui/slider";
  *  - Web width uses a slider (simple cursor) with live value.
  *  - Jobs/year is a large key figure.
  *  - Stops/job is integer-only; makeready result highlighted.
- *  - Removed Hours/shift input (fixed to 8h).
+ *  - Hours/shift input (8 h by default); links and files can set it.
+ *  - Calculations come from engine/ (unit-tested, shared with the CLI).
+ *  - English/French wording in i18n.ts; numbers and money follow the chosen format and currency.
  */
 
-// ===== Types =====
-interface ROIParams {
-  webWidth: number; // m
-  jobsPerShift: number;
-  shiftsPerDay: number;
-  daysPerYear: number;
-  stopsPerJobBaseline: number;
-  reductionPercent: number; // %
-  wastePerStopM: number; // m
-  speedMPerMin: number; // m/min
-  uptimePercent: number; // %
-  hoursPerShift: number; // h
-  substratePrice: number; // €/m²
-  haasPrice: number; // €/year
-}
-
-interface ROIResult {
-  jobsPerDay: number;
-  jobsPerYear: number;
-  m2PerStop: number;
-  m2CalagePerYear: number;
-  printedLengthPerYear: number; // m
-  m2ThreeMmPerYear: number;
-  euroCalage: number;
-  euroThreeMm: number;
-  euroTotal: number;
-  euroNet: number;
-}
-
-// ===== Pure calculation =====
-function computeROI(p: ROIParams): ROIResult {
-  const jobsPerDay = p.jobsPerShift * p.shiftsPerDay;
-  const jobsPerYear = jobsPerDay * p.daysPerYear;
-
-  const stopsAvoidedPerJob = (p.stopsPerJobBaseline * p.reductionPercent) / 100;
-  const m2PerStop = p.webWidth * p.wastePerStopM; // m * m = m²
-  const m2CalagePerYear = m2PerStop * stopsAvoidedPerJob * jobsPerYear;
-
-  const minutesPerDay = p.hoursPerShift * 60 * p.shiftsPerDay;
-  const printedLengthPerDay = p.speedMPerMin * (p.uptimePercent / 100) * minutesPerDay; // m/day
-  const printedLengthPerYear = printedLengthPerDay * p.daysPerYear; // m/year
-  const m2ThreeMmPerYear = 0.003 * printedLengthPerYear; // 3 mm = 0.003 m
-
-  const euroCalage = m2CalagePerYear * p.substratePrice;
-  const euroThreeMm = m2ThreeMmPerYear * p.substratePrice;
-  const euroTotal = euroCalage + euroThreeMm;
-  const euroNet = euroTotal - p.haasPrice;
+// ===== Substrate catalog (browser storage) =====
+const CATALOG_KEY = 'deltaone.substrates.v1';
+
+function loadCatalog(): SubstrateSpec[] {
+  if (typeof window === 'undefined') return DEFAULT_SUBSTRATES;
+  try {
+    const raw = window.localStorage.getItem(CATALOG_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    if (!Array.isArray(list)) return DEFAULT_SUBSTRATES;
+    const valid = list.filter((spec, i) => spec && typeof spec.name === 'string' && !checkSpec(spec, list.slice(0, i)));
+    return valid.length ? valid : DEFAULT_SUBSTRATES;
+  } catch {
+    return DEFAULT_SUBSTRATES;
+  }
+}
+
+function storeCatalog(list: SubstrateSpec[]) {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(CATALOG_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// ===== Scenarios =====
+interface Scenario extends CalculatorState {
+  name: string;
+  savedAt: string; // ISO date
+}
+
+const SCENARIOS_KEY = 'deltaone.scenarios.v1';
+const MAX_COMPARED = 4;
+
+function loadScenarios(): Scenario[] {
+  if (typeof window === 'undefined') return [];
+  try {
+    const raw = window.localStorage.getItem(SCENARIOS_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(list)) return [];
+    // Scenarios saved before a field existed get its old fixed value; those without a
+    // pricing model predate v4, those without a contract length predate v5.
+    return list
+      .filter((sc) => sc && sc.name)
+      .map((sc) => ({
+        ...sc,
+        params: migrateParams(sc.params ?? {}, 1),
+        pricing: migratePricing(sc.pricing, sc.params ?? {}, sc.pricing ? STATE_VERSION : 3),
+        contractYears: migrateContractYears(sc.contractYears, 'contractYears' in sc ? STATE_VERSION : 4),
+      }))
+      .filter((sc) => validateState(sc.params, sc.substrate, sc.pricing, sc.contractYears).ok);
+  } catch {
+    return [];
+  }
+}
+
+function storeScenarios(list: Scenario[]) {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(SCENARIOS_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// ===== Fleet (browser storage) =====
+const FLEET_KEY = 'deltaone.fleet.v1';
+
+// Columns editable inline in the fleet table; other fields come from "Use current inputs".
+const FLEET_COLUMNS: Array<keyof ROIParams> = ['webWidth', 'speedMPerMin', 'uptimePercent', 'shiftsPerDay', 'jobsPerShift', 'stopsPerJobBaseline', 'haasPrice'];
+
+function loadFleet(): Press[] {
+  if (typeof window === 'undefined') return [];
+  try {
+    const raw = window.localStorage.getItem(FLEET_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter((press) => press && typeof press.id === 'string' && typeof press.name === 'string' && press.params)
+      .map((press) => ({ ...press, params: migrateParams(press.params, 1) as unknown as ROIParams }));
+  } catch {
+    return [];
+  }
+}
+
+function storeFleet(list: Press[]) {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(FLEET_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// ===== Proposal template =====
+type ProposalSection = 'sustainability' | 'sensitivity' | 'methodology' | 'inputs';
+
+/** Branding and page selection of the PDF proposal; edited as a JSON file, no code change needed. */
+interface ProposalTemplate {
+  brandName: string;
+  accentColor: string; // #rrggbb
+  logoDataUrl: string; // PNG or JPEG data URL, '' for none
+  coverTitle: string; // '' uses the wording of the selected language
+  coverSubtitle: string;
+  contactLine: string; // footer of every page after the cover
+  disclaimer: string; // small print on the cover
+  sections: { [K in ProposalSection]: boolean };
+}
+
+interface ProposalDetails {
+  customerName: string;
+  repName: string;
+  date: string; // YYYY-MM-DD
+  quoteNumber: string;
+}
+
+type ParsedTemplate = { ok: true; template: ProposalTemplate } | { ok: false; errors: string[] };
+
+const TEMPLATE_KEY = 'deltaone.template.v1';
+const MAX_TEMPLATE_TEXT = 300;
+const MAX_LOGO_CHARS = 400000; // data URL of a ~300 KB image
+
+const DEFAULT_TEMPLATE: ProposalTemplate = {
+  brandName: 'Veoria',
+  accentColor: '#18181b',
+  logoDataUrl: '',
+  coverTitle: '',
+  coverSubtitle: '',
+  contactLine: 'Veoria • veoria.fr',
+  disclaimer: '',
+  sections: { sustainability: true, sensitivity: true, methodology: true, inputs: true },
+};
+
+const PROPOSAL_SECTIONS: ProposalSection[] = ['sustainability', 'sensitivity', 'methodology', 'inputs'];
+
+/** Fields left out keep their default; unknown fields and wrong types are errors. */
+function parseTemplate(raw: unknown, m: Messages['templateErrors'] = MESSAGES.en.templateErrors): ParsedTemplate {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, errors: [m.notObject] };
+  const data = raw as { [k: string]: unknown };
+  const errors: string[] = [];
+  const template: ProposalTemplate = { ...DEFAULT_TEMPLATE, sections: { ...DEFAULT_TEMPLATE.sections } };
+
+  Object.keys(data).forEach((key) => {
+    const v = data[key];
+    if (key === 'sections') {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) { errors.push(m.sectionsNotObject); return; }
+      Object.entries(v).forEach(([name, on]) => {
+        if (!PROPOSAL_SECTIONS.includes(name as ProposalSection)) errors.push(m.unknownSection(name));
+        else if (typeof on !== 'boolean') errors.push(m.sectionNotBoolean(name));
+        else template.sections[name as ProposalSection] = on;
+      });
+      return;
+    }
+    if (!(key in DEFAULT_TEMPLATE)) { errors.push(m.unknownField(key)); return; }
+    if (typeof v !== 'string') { errors.push(m.notText(key)); return; }
+    if (key === 'logoDataUrl') {
+      if (v && !/^data:image\/(png|jpeg);base64,/.test(v)) errors.push(m.logoFormat);
+      else if (v.length > MAX_LOGO_CHARS) errors.push(m.logoTooLarge);
+      else template.logoDataUrl = v;
+      return;
+    }
+    if (key === 'accentColor' && !/^#[0-9a-f]{6}$/i.test(v)) { errors.push(m.accentColor); return; }
+    if (v.length > MAX_TEMPLATE_TEXT) { errors.push(m.tooLong(key, MAX_TEMPLATE_TEXT)); return; }
+    (template as unknown as { [k: string]: string })[key] = v;
+  });
+
+  return errors.length ? { ok: false, errors } : { ok: true, template };
+}
+
+function loadTemplate(): ProposalTemplate {
+  if (typeof window === 'undefined') return DEFAULT_TEMPLATE;
+  try {
+    const raw = window.localStorage.getItem(TEMPLATE_KEY);
+    const parsed = raw ? parseTemplate(JSON.parse(raw)) : null;
+    return parsed?.ok ? parsed.template : DEFAULT_TEMPLATE;
+  } catch {
+    return DEFAULT_TEMPLATE;
+  }
+}
+
+function storeTemplate(template: ProposalTemplate) {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(TEMPLATE_KEY, JSON.stringify(template));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+function todayISO() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/** e.g. "DeltaOne_ROI_Etiquettes-Leroy_2026-10-19.pdf"; accents dropped, other symbols become dashes. */
+function proposalFileName(d: ProposalDetails) {
+  const customer = d.customerName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return `DeltaOne_ROI_${customer ? customer + '_' : ''}${d.date}.pdf`;
+}
+
+// ===== Language, number format, units and currency =====
+interface LocaleSettings {
+  lang: Lang;
+  numberLocale: string; // e.g. 'de-DE'
+  units: UnitSystem;
+  currency: Currency;
+  rates: { [C in Currency]: number }; // units per 1 EUR, entered by the user
+}
+
+const LOCALE_KEY = 'deltaone.locale.v1';
+const DEFAULT_LOCALE: LocaleSettings = { lang: 'en', numberLocale: 'en-GB', units: 'metric', currency: 'EUR', rates: DEFAULT_RATES };
+const UNIT_SYSTEMS: UnitSystem[] = ['metric', 'imperial'];
+
+// Priced in EUR by the engine; shown and entered in the selected currency.
+const MONEY_PARAMS: Array<keyof ROIParams> = ['substratePrice', 'operatorHourlyCost', 'marginPerPressHour', 'haasPrice'];
+const MONEY_PRICING: PricingField[] = ['annualFee', 'monthlyFee', 'purchasePrice'];
+const GOAL_TARGETS: { [K in GoalOutput]: number } = { euroNet: 30000, euroTotal: 50000, paybackMonths: 12 };
+
+function loadLocale(): LocaleSettings {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  try {
+    const raw = window.localStorage.getItem(LOCALE_KEY);
+    const s = raw ? JSON.parse(raw) : null;
+    if (!s || typeof s !== 'object') return DEFAULT_LOCALE;
+    const rates = { ...DEFAULT_RATES };
+    CURRENCIES.forEach((c) => { if (c !== 'EUR' && Number.isFinite(s.rates?.[c]) && s.rates[c] > 0) rates[c] = s.rates[c]; });
+    return {
+      lang: LANGS.some((l) => l.code === s.lang) ? s.lang : DEFAULT_LOCALE.lang,
+      numberLocale: NUMBER_LOCALES.some((l) => l.code === s.numberLocale) ? s.numberLocale : DEFAULT_LOCALE.numberLocale,
+      units: UNIT_SYSTEMS.includes(s.units) ? s.units : DEFAULT_LOCALE.units,
+      currency: CURRENCIES.includes(s.currency) ? s.currency : DEFAULT_LOCALE.currency,
+      rates,
+    };
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+function storeLocale(settings: LocaleSettings) {
+  if (typeof window === 'undefined') return;
+  try {
+    window.localStorage.setItem(LOCALE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+/** An input as shown: translated label, limits in display units, and the conversion both ways. */
+interface FieldView {
+  label: string;
+  unit: string;
+  min: number;
+  max: number;
+  step: number;
+  toDisplay: (canonical: number) => number;
+  fromDisplay: (shown: number) => number;
+}
+
+/** Wording and formatting for the selected language, number format, units and currency. */
+interface Display {
+  t: Messages;
+  locale: string;
+  dateLocale: string; // month names follow the language, not only the number format
+  units: UnitSystem;
+  areaUnit: string; // 'm²' or 'MSI'
+  currency: Currency;
+  symbol: string; // '€', '£', '$' or 'CHF'
+  number0: Intl.NumberFormat;
+  money0: { format: (eur: number) => string };
+  area: (m2: number) => string; // rounded, with unit
+  length: (m: number) => string; // rounded, with unit
+  num: (v: number, digits?: number) => string; // up to `digits` decimals
+  pct: (percent: number) => string; // 8 -> "8%" or "8 %"
+  field: (key: keyof ROIParams) => FieldView;
+  spec: (field: SpecField) => FieldView;
+  pricing: (field: PricingField) => FieldView;
+  projection: (key: keyof ProjectionParams) => FieldView;
+  goal: (output: GoalOutput) => FieldView; // the target field
+  pricingValue: (field: PricingField, canonical: number) => string;
+  projectionValue: (key: keyof ProjectionParams, canonical: number) => string;
+  param: (key: keyof ROIParams, canonical: number) => string; // value with its unit
+  trim: (mm: number) => string; // e.g. "−3 mm" or "−0.118 in"
+  messages: ValidationMessages;
+}
+
+const same = (v: number) => v;
+
+function makeDisplay(s: LocaleSettings): Display {
+  const t = MESSAGES[s.lang];
+  const locale = s.numberLocale;
+  const rate = s.rates[s.currency];
+  const symbol = currencySymbol(locale, s.currency);
+  const moneyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency: s.currency, maximumFractionDigits: 0 });
+  const moneyFormat2 = new Intl.NumberFormat(locale, { style: 'currency', currency: s.currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const pctFormat = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 2 });
+  const areaUnit = s.units === 'imperial' ? 'MSI' : 'm²';
+  const number0 = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+  const localUnit = (unit: string) => unit.replace('€', symbol).replace('/year', `/${t.perYear}`).replace('/month', `/${t.perMonth}`);
+  const num = (v: number, digits = 2) => v.toLocaleString(locale, { maximumFractionDigits: digits });
+
+  // Unit system first, then currency. Converted limits are rounded inward to the shown step
+  // so sliders land on round values.
+  const view = (label: string, c: { unit: string; min: number; max: number; step: number }, conv: UnitConversion | undefined, money: boolean): FieldView => {
+    const factor = (conv?.factor ?? 1) * (money ? rate : 1);
+    const step = conv?.step ?? c.step;
+    if (factor === 1) return { label, unit: localUnit(c.unit), min: c.min, max: c.max, step, toDisplay: same, fromDisplay: same };
+    const inward = (v: number, round: (x: number) => number) => Number((round(Number(((v * factor) / step).toFixed(6))) * step).toFixed(4));
+    return {
+      label,
+      unit: localUnit(conv?.unit ?? c.unit),
+      min: inward(c.min, Math.ceil),
+      max: inward(c.max, Math.floor),
+      step,
+      toDisplay: (v: number) => Number((v * factor).toFixed(4)),
+      fromDisplay: (v: number) => v / factor,
+    };
+  };
+  const field = (key: keyof ROIParams) => view(t.params[key], PARAM_SCHEMA[key], paramConversion(s.units, key), MONEY_PARAMS.includes(key));
+  const spec = (f: SpecField) => view(t.specs[f], SPEC_SCHEMA[f], specConversion(s.units, f), f === 'pricePerM2');
+  const pricing = (f: PricingField) => view(t.pricingFields[f], PRICING_SCHEMA[f], undefined, MONEY_PRICING.includes(f));
+  const projection = (k: keyof ProjectionParams) => view(t.projectionFields[k], PROJECTION_SCHEMA[k], undefined, false);
+  const goal = (o: GoalOutput) => view(t.goalOutputs[o], GOAL_SCHEMA[o], undefined, o !== 'paybackMonths');
+
+  // Money keeps its per-unit suffix: "£0.51/m²", "CHF 18,800/year". Fine steps get a third decimal.
+  const withUnit = (v: FieldView, canonical: number, money: boolean, fixed = false) => {
+    const shown = v.toDisplay(canonical);
+    if (money) return (v.step < 1 ? moneyFormat2 : moneyFormat).format(shown) + (v.unit.includes('/') ? v.unit.slice(v.unit.indexOf('/')) : '');
+    if (v.unit === '%') return pctFormat.format(shown / 100);
+    const n = shown.toLocaleString(locale, { minimumFractionDigits: fixed ? 2 : 0, maximumFractionDigits: v.step < 0.05 ? 3 : 2 });
+    return v.unit ? `${n} ${v.unit}` : n;
+  };
+  const param = (key: keyof ROIParams, canonical: number) => withUnit(field(key), canonical, MONEY_PARAMS.includes(key), key === 'webWidth');
+  const specValue = (f: SpecField, canonical: number) => withUnit(spec(f), canonical, f === 'pricePerM2');
+  const pricingValue = (f: PricingField, canonical: number) => withUnit(pricing(f), canonical, MONEY_PRICING.includes(f));
+  const projectionValue = (k: keyof ProjectionParams, canonical: number) => withUnit(projection(k), canonical, false);
 
   return {
-    jobsPerDay,
-    jobsPerYear,
-    m2PerStop,
-    m2CalagePerYear,
-    printedLengthPerYear,
-    m2ThreeMmPerYear,
-    euroCalage,
-    euroThreeMm,
-    euroTotal,
-    euroNet,
+    t,
+    locale,
+    dateLocale: locale.startsWith(`${s.lang}-`) ? locale : LANGS.find((l) => l.code === s.lang)?.numberLocale ?? locale,
+    units: s.units,
+    areaUnit,
+    currency: s.currency,
+    symbol,
+    number0,
+    money0: { format: (eur: number) => moneyFormat.format(eur * rate) },
+    area: (m2: number) => `${number0.format(Math.round(areaIn(s.units, m2)))} ${areaUnit}`,
+    length: (m: number) => `${number0.format(Math.round(lengthIn(s.units, m)))} ${s.units === 'imperial' ? 'ft' : 'm'}`,
+    num,
+    pct: (percent: number) => pctFormat.format(percent / 100),
+    field,
+    spec,
+    pricing,
+    projection,
+    goal,
+    pricingValue,
+    projectionValue,
+    param,
+    trim: (mm: number) => {
+      const v = field('trimReductionMm');
+      return `−${Number.isFinite(mm) ? num(v.toDisplay(mm), 3) : '?'} ${v.unit}`;
+    },
+    messages: t.validation({ param, spec: specValue, pricing: pricingValue, projection: projectionValue, num }),
   };
 }
 
+function fieldLabel(v: FieldView) {
+  return v.unit ? `${v.label} (${v.unit})` : v.label;
+}
+
+/** Methodology as [heading, text] pairs, shared by the page footer and the PDF. */
+function methodParagraphs(t: Messages, v: MethodValues, withMaterial: boolean): Array<[string, string]> {
+  return [
+    [t.method.headings.material, t.method.material(v)],
+    [t.method.headings.time, t.method.time],
+    [t.method.headings.projection, t.method.projection],
+    [t.method.headings.sensitivity, t.method.sensitivity],
+    ...(withMaterial ? [[t.method.headings.sustainability, t.method.sustainability(v)] as [string, string]] : []),
+  ];
+}
+
 export default function DeltaOneROICalculator() {
   // ===== Defaults =====
   const [webWidth, setWebWidth] = useState(0.33);
@@ -90,15 +497,83 @@ export default function DeltaOneROICalculator() {
   const [stopsPerJobBaseline, setStopsPerJobBaseline] = useState(6); // integer only
   const [reductionPercent, setReductionPercent] = useState(50);
   const [wastePerStopM, setWastePerStopM] = useState(100);
+  const [minutesPerStop, setMinutesPerStop] = useState(0); // time savings are opt-in
+  const [operatorHourlyCost, setOperatorHourlyCost] = useState(0);
+  const [marginPerPressHour, setMarginPerPressHour] = useState(0);
   const [speedMPerMin, setSpeedMPerMin] = useState(165);
   const [uptimePercent, setUptimePercent] = useState(60);
-  const hoursPerShift = 8; // fixed as requested
+  const [trimMode, setTrimMode] = useState<'mm' | 'percent'>('mm');
+  const [trimInput, setTrimInput] = useState(3); // mm, or % of web width in percent mode
+  const [hoursPerShift, setHoursPerShift] = useState(8);
   const [substratePrice, setSubstratePrice] = useState(0.6);
-  const [substrate, setSubstrate] = useState<'PETG' | 'PVC' | 'OPS' | 'BOPP'>('PETG');
-  const [haasPrice, setHaasPrice] = useState(20000);
+  const [substrate, setSubstrate] = useState<Substrate>('PETG');
+  const [catalog, setCatalog] = useState<SubstrateSpec[]>(DEFAULT_SUBSTRATES);
+  const catalogInputRef = useRef<HTMLInputElement>(null);
+  const [productionLog, setProductionLog] = useState<ProductionJob[]>([]);
+  const logInputRef = useRef<HTMLInputElement>(null);
+  // The quote the log is measured against, copied when chosen so later edits leave it alone.
+  const [actualsQuote, setActualsQuote] = useState<{ name: string; fromFile: boolean; params: ROIParams } | null>(null);
+  const quoteInputRef = useRef<HTMLInputElement>(null);
+  const [pricing, setPricing] = useState<PricingModel>(DEFAULT_PRICING);
+  const [contractYears, setContractYears] = useState(3);
+  const [substrateInflationPercent, setSubstrateInflationPercent] = useState(2);
+  const [haasEscalationPercent, setHaasEscalationPercent] = useState(2);
+  const [discountRatePercent, setDiscountRatePercent] = useState(8);
+  const [rampUpStartPercent, setRampUpStartPercent] = useState(50);
+  const [rampUpMonths, setRampUpMonths] = useState(3);
+  const [sensitivityRangePercent, setSensitivityRangePercent] = useState(20);
+  const [goalOutput, setGoalOutput] = useState<GoalOutput>('euroNet');
+  const [goalKey, setGoalKey] = useState<keyof ROIParams>('reductionPercent');
+  const [goalTarget, setGoalTarget] = useState(GOAL_TARGETS.euroNet);
+  const [uncertainty, setUncertainty] = useState<Uncertainty>(DEFAULT_UNCERTAINTY);
+  const [mcRuns, setMcRuns] = useState(5000);
+  const [mcSeed, setMcSeed] = useState(42);
+  const [mcProgress, setMcProgress] = useState<number | null>(null);
+  const [mcResult, setMcResult] = useState<{ inputs: string; result: MonteCarloResult } | null>(null);
+  const mcRunId = useRef(0);
+
+  const [mode, setMode] = useState<'single' | 'fleet'>('single');
+  const [presses, setPresses] = useState<Press[]>([]);
+  const [scenarios, setScenarios] = useState<Scenario[]>([]);
+  const [scenarioName, setScenarioName] = useState('');
+  const [compared, setCompared] = useState<string[]>([]);
+
+  const [shareMessage, setShareMessage] = useState<{ kind: 'ok' | 'error'; text: string } | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [customerName, setCustomerName] = useState('');
+  const [repName, setRepName] = useState('');
+  const [proposalDate, setProposalDate] = useState('');
+  const [quoteNumber, setQuoteNumber] = useState('');
+  const [template, setTemplate] = useState<ProposalTemplate>(DEFAULT_TEMPLATE);
+  const templateInputRef = useRef<HTMLInputElement>(null);
+  const logoInputRef = useRef<HTMLInputElement>(null);
+  const [localeSettings, setLocaleSettings] = useState<LocaleSettings>(DEFAULT_LOCALE);
+  const [rateText, setRateText] = useState(String(DEFAULT_LOCALE.rates[DEFAULT_LOCALE.currency]));
+
+  const display = useMemo(() => makeDisplay(localeSettings), [localeSettings]);
+  const { t, number0, money0 } = display;
 
-  const number0 = useMemo(() => new Intl.NumberFormat("en-US", { maximumFractionDigits: 0 }), []);
-  const money0 = useMemo(() => new Intl.NumberFormat("en-US", { style: "currency", currency: "EUR", maximumFractionDigits: 0 }), []);
+  const trimReductionMm = trimMode === 'mm' ? trimInput : (trimInput / 100) * webWidth * 1000;
+  const trim = display.trim(trimReductionMm);
+  const widthView = display.field('webWidth');
+  const speedView = display.field('speedMPerMin');
+  const trimView = display.field('trimReductionMm');
+
+  // The chosen model feeds the single HaaS figure the engine works with; a purchase is spread
+  // over the contract. An unusable model leaves it blank, so the inputs read as invalid.
+  const pricingErrors = validatePricing(pricing, display.messages);
+  const haas = haasCost(pricing);
+  const haasPrice = pricingValid(pricingErrors) ? annualEquivalent(haas, contractYears) : NaN;
+  const pricingText = [
+    t.pricingLine(t.pricingKinds[pricing.kind],
+      pricing.kind === 'annual' ? display.pricingValue('annualFee', pricing.annualFee)
+        : pricing.kind === 'subscription' ? display.pricingValue('monthlyFee', pricing.monthlyFee)
+          : t.purchaseTerms(display.pricingValue('purchasePrice', pricing.purchasePrice), display.pct(pricing.maintenancePercent))),
+    ...(haas.discountPercent > 0 ? [t.volumeDiscount(display.pct(haas.discountPercent), pricing.units)] : []),
+  ].join(', ');
+
+  const editPricing = (patch: Partial<PricingModel>) => setPricing((pr) => ({ ...pr, ...patch }));
+  const editTier = (i: number, patch: Partial<VolumeTier>) => editPricing({ tiers: pricing.tiers.map((tier, j) => (j === i ? { ...tier, ...patch } : tier)) });
 
   const params: ROIParams = {
     webWidth,
@@ -108,17 +583,393 @@ export default function DeltaOneROICalculator() {
     stopsPerJobBaseline,
     reductionPercent,
     wastePerStopM,
+    minutesPerStop,
     speedMPerMin,
     uptimePercent,
     hoursPerShift,
+    trimReductionMm,
     substratePrice,
+    operatorHourlyCost,
+    marginPerPressHour,
     haasPrice,
   };
   const r = computeROI(params);
+  const errors = validateParams(params, display.messages);
+  const valid = Object.keys(errors).length === 0;
+  const show = (v: string) => (valid ? v : '—');
+  const substrateSpec = catalog.find((spec) => spec.name === substrate);
+  const material = substrateSpec ? computeMaterialSavings(r, substrateSpec) : null;
+  const kg0 = (kg: number) => `${number0.format(Math.round(kg))} kg`;
+  const t1 = (tonnes: number) => `${tonnes.toLocaleString(display.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} t`;
+  const impact = material ? computeImpact(material, contractYears) : null;
+
+  const projectionParams: ProjectionParams = {
+    contractYears,
+    substrateInflationPercent,
+    haasEscalationPercent,
+    discountRatePercent,
+    rampUpStartPercent,
+    rampUpMonths,
+  };
+  const projectionErrors = validateProjection(projectionParams, display.messages);
+  const projectionValid = Object.keys(projectionErrors).length === 0;
+  const invalidText = t.fixInputs([
+    ...Object.keys(errors).map((k) => t.params[k as keyof ROIParams]),
+    ...Object.keys(projectionErrors).map((k) => t.projectionFields[k as keyof ProjectionParams]),
+  ].join(', '));
+  const proj = computeProjection(params, projectionParams, haas);
+  const paybackLabel = proj.paybackMonth === null ? t.paybackAfter(contractYears * 12) : t.paybackMonth(proj.paybackMonth);
+  const irrLabel = proj.irr === null ? t.notAvailable : new Intl.NumberFormat(display.locale, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(proj.irr);
+  const sensitivity = valid ? computeSensitivity(params, sensitivityRangePercent) : [];
+  const distErrors = UNCERTAIN_KEYS.reduce<{ [K in UncertainKey]?: string }>((acc, key) => {
+    const e = checkDist(key, uncertainty[key], display.messages);
+    return e ? { ...acc, [key]: e } : acc;
+  }, {});
+  const mcReady = valid && Object.keys(distErrors).length === 0 && Number.isInteger(mcSeed);
+  const mcInputs = JSON.stringify({ params, uncertainty, mcRuns, mcSeed });
+  const breakEvenLabel = (row: SensitivityRow) => (row.breakEven === null ? t.notReached : display.param(row.key, row.breakEven));
+  const actuals = actualsQuote ? compareActuals(productionLog, actualsQuote.params) : null;
+  const goal = valid && projectionValid && Number.isFinite(goalTarget)
+    ? goalSeek(params, goalKey, goalOutput, goalTarget, { projection: projectionParams, pricing }, display.messages)
+    : null;
+  // Payback reads as in the results: the month it is reached within the contract.
+  const goalText = (v: number) => (goalOutput !== 'paybackMonths' ? money0.format(Math.round(v))
+    : Number.isFinite(v) ? t.paybackMonth(v) : t.paybackAfter(contractYears * 12));
+  const goalInput = (v: number) => display.param(goalKey, v);
+  const goalMessage = goal === null ? ''
+    : goal.ok ? (goal.anyValue ? t.goalAnyValue : t.goalNeeded)(t.params[goalKey], goalInput(goal.value), goalText(goal.achieved))
+      : goal.reason === 'unreachable'
+        ? t.goalUnreachable(t.params[goalKey], goalInput(PARAM_SCHEMA[goalKey].min), goalInput(PARAM_SCHEMA[goalKey].max), goalInput(goal.value), goalText(goal.achieved))
+        : t.goalInvalid(goalInput(goal.value), Object.values(goal.errors).join('; '));
+  const methodValues = {
+    trim,
+    trimWidth: display.units === 'imperial' ? display.param('trimReductionMm', trimReductionMm) : `${display.num(trimReductionMm / 1000, 4)} m`,
+    area: display.areaUnit,
+    car: CAR_KG_CO2E_PER_KM,
+    flight: FLIGHT_KG_CO2E,
+    tree: TREE_KG_CO2_PER_YEAR,
+    household: HOUSEHOLD_KG_CO2E_PER_YEAR,
+  };
 
   const stopsAvoidedPerJob = (stopsPerJobBaseline * reductionPercent) / 100;
   const stopsAvoidedPerYear = stopsAvoidedPerJob * r.jobsPerYear;
 
+  // Keeps the reduction on a whole number of stops avoided when the baseline changes.
+  const changeStopsPerJob = (n: number) => {
+    setStopsPerJobBaseline(n);
+    if (!checkParam('stopsPerJobBaseline', n)) setReductionPercent((pct) => snapReduction(pct, n));
+  };
+
+  // Every input except HaaS, which comes from the pricing model.
+  const setParamInputs = (p: ROIParams) => {
+    setWebWidth(p.webWidth);
+    setJobsPerShift(p.jobsPerShift);
+    setShiftsPerDay(p.shiftsPerDay);
+    setDaysPerYear(p.daysPerYear);
+    setStopsPerJobBaseline(p.stopsPerJobBaseline);
+    setReductionPercent(p.reductionPercent);
+    setWastePerStopM(p.wastePerStopM);
+    setMinutesPerStop(p.minutesPerStop);
+    setOperatorHourlyCost(p.operatorHourlyCost);
+    setMarginPerPressHour(p.marginPerPressHour);
+    setSpeedMPerMin(p.speedMPerMin);
+    setUptimePercent(p.uptimePercent);
+    setSubstratePrice(p.substratePrice);
+    setHoursPerShift(p.hoursPerShift);
+    setTrimMode('mm');
+    setTrimInput(p.trimReductionMm);
+  };
+
+  const applyState = (st: CalculatorState) => {
+    setParamInputs(st.params);
+    setPricing(st.pricing);
+    setSubstrate(st.substrate);
+    setContractYears(st.contractYears);
+  };
+
+  const changeGoalOutput = (o: GoalOutput) => {
+    setGoalOutput(o);
+    setGoalTarget(GOAL_TARGETS[o]);
+  };
+
+  // A HaaS figure sets the fee of the chosen pricing model.
+  const applyGoal = (value: number) => {
+    if (goalKey === 'haasPrice') setPricing(pricingFor(pricing, value, contractYears));
+    else setParamInputs({ ...params, [goalKey]: value });
+  };
+
+  // `m` lets the mount effect word the banner before the stored language is applied.
+  const applyDecoded = (d: DecodedState, source: string, m: Messages = t) => {
+    if (d.ok) {
+      applyState(d.state);
+      setShareMessage({ kind: 'ok', text: m.loadedFrom(source) });
+    } else {
+      setShareMessage({ kind: 'error', text: m.rejected(source, d.errors.join('; ')) });
+    }
+  };
+
+  // Loaded after mount so server and client render the same markup.
+  useEffect(() => {
+    setCatalog(loadCatalog());
+    setScenarios(loadScenarios());
+    setPresses(loadFleet());
+    setTemplate(loadTemplate());
+    setProposalDate(todayISO());
+    const locale = loadLocale();
+    setLocaleSettings(locale);
+    setRateText(String(locale.rates[locale.currency]));
+    const fromHash = decodeStateFromHash(window.location.hash, makeDisplay(locale).messages);
+    if (fromHash) applyDecoded(fromHash, MESSAGES[locale.lang].link, MESSAGES[locale.lang]);
+  }, []);
+
+  const updateLocale = (patch: Partial<LocaleSettings>) => {
+    const next = { ...localeSettings, ...patch };
+    setLocaleSettings(next);
+    storeLocale(next);
+    if (patch.currency) setRateText(String(next.rates[next.currency]));
+  };
+
+  // Each language brings its usual number format; another one can be picked afterwards.
+  const changeLang = (lang: Lang) => updateLocale({ lang, numberLocale: LANGS.find((l) => l.code === lang)?.numberLocale ?? localeSettings.numberLocale });
+
+  // The typed text is kept while invalid; only a positive rate reaches the results.
+  const changeRate = (text: string) => {
+    setRateText(text);
+    const rate = Number(text);
+    if (text.trim() !== '' && Number.isFinite(rate) && rate > 0) updateLocale({ rates: { ...localeSettings.rates, [localeSettings.currency]: rate } });
+  };
+  const rateValid = Number(rateText) > 0;
+
+  const setDist = (key: UncertainKey, part: keyof TriangularDist, v: number) => {
+    setUncertainty((u) => ({ ...u, [key]: { ...u[key], [part]: v } }));
+  };
+
+  const centreDistsOnInputs = () => {
+    setUncertainty((u) => UNCERTAIN_KEYS.reduce((acc, key) => {
+      const { min, max } = PARAM_SCHEMA[key];
+      return { ...acc, [key]: { ...u[key], likely: Math.min(max, Math.max(min, params[key])) } };
+    }, u));
+  };
+
+  const runSimulation = async () => {
+    if (!mcReady) return;
+    const id = ++mcRunId.current;
+    setMcProgress(0);
+    const result = await runMonteCarlo(params, uncertainty, mcRuns, mcSeed, (done) => {
+      if (mcRunId.current === id) setMcProgress(done);
+    }, () => mcRunId.current !== id);
+    if (result && mcRunId.current === id) {
+      setMcResult({ inputs: mcInputs, result });
+      setMcProgress(null);
+    }
+  };
+
+  // Drop any batch still running when the component goes away.
+  useEffect(() => () => { mcRunId.current++; }, []);
+
+  // Converts the entered value so the trim itself does not change with the mode.
+  const changeTrimMode = (mode: 'mm' | 'percent') => {
+    if (mode === trimMode) return;
+    const next = mode === 'mm' ? trimReductionMm : (trimReductionMm / (webWidth * 1000)) * 100;
+    setTrimMode(mode);
+    setTrimInput(Number.isFinite(next) ? Number(next.toFixed(mode === 'mm' ? 2 : 3)) : NaN);
+  };
+
+  const fleet = computeFleet(presses, display.messages);
+
+  const updateFleet = (list: Press[]) => {
+    setPresses(list);
+    storeFleet(list);
+  };
+
+  const addPress = () => {
+    let n = presses.length + 1;
+    while (presses.some((press) => press.name === `${t.press} ${n}`)) n++;
+    updateFleet([...presses, { id: `${Date.now().toString(36)}-${n}`, name: `${t.press} ${n}`, params: { ...params } }]);
+  };
+
+  // Every press gets the model's per-unit cost at the fleet's volume tier.
+  const priceFleet = () => {
+    const perPress = annualEquivalent(haasCost(pricing, presses.length), contractYears);
+    updateFleet(presses.map((press) => ({ ...press, params: { ...press.params, haasPrice: perPress } })));
+  };
+
+  const editPress = (id: string, patch: { name?: string; params?: Partial<ROIParams> }) => {
+    updateFleet(presses.map((press) => (press.id === id
+      ? { ...press, name: patch.name ?? press.name, params: { ...press.params, ...patch.params } }
+      : press)));
+  };
+
+  const updateCatalog = (list: SubstrateSpec[]) => {
+    setCatalog(list);
+    storeCatalog(list);
+  };
+
+  const selectSubstrate = (spec: SubstrateSpec) => {
+    setSubstrate(spec.name);
+    setSubstratePrice(spec.pricePerM2);
+  };
+
+  // Edits are kept even while invalid so the row can be fixed in place; only valid rows are stored.
+  const editSpec = (index: number, patch: Partial<SubstrateSpec>) => {
+    const before = catalog[index];
+    const next = catalog.map((spec, i) => (i === index ? { ...spec, ...patch } : spec));
+    setCatalog(next);
+    if (next.every((spec, i) => !checkSpec(spec, next.slice(0, i)))) storeCatalog(next);
+    if (patch.name !== undefined && before.name === substrate) setSubstrate(patch.name);
+  };
+
+  const addSpec = () => {
+    let n = catalog.length + 1;
+    while (catalog.some((spec) => spec.name === t.newMaterial(n))) n++;
+    const template = substrateSpec ?? DEFAULT_SUBSTRATES[0];
+    updateCatalog([...catalog, { ...template, name: t.newMaterial(n) }]);
+  };
+
+  const deleteSpec = (index: number) => updateCatalog(catalog.filter((_, i) => i !== index));
+
+  const importCatalogCSV = async (file: File | undefined) => {
+    if (!file) return;
+    const { specs, errors: csvErrors } = parseCatalogCSV(await file.text(), display.messages);
+    if (specs.length) updateCatalog(mergeCatalog(catalog, specs));
+    setShareMessage(csvErrors.length
+      ? { kind: 'error', text: t.materialsPartly(file.name, specs.length, csvErrors.length, csvErrors.join('; ')) }
+      : { kind: 'ok', text: t.materialsImported(file.name, specs.length) });
+    if (catalogInputRef.current) catalogInputRef.current.value = '';
+  };
+
+  const importProductionCSV = async (file: File | undefined) => {
+    if (!file) return;
+    const { jobs, errors: csvErrors } = parseProductionCSV(await file.text(), display.messages);
+    if (jobs.length) setProductionLog(jobs);
+    setShareMessage(csvErrors.length
+      ? { kind: 'error', text: t.logPartly(file.name, jobs.length, csvErrors.length, csvErrors.join('; ')) }
+      : { kind: 'ok', text: t.logImported(file.name, jobs.length) });
+    if (logInputRef.current) logInputRef.current.value = '';
+  };
+
+  const chooseActualsScenario = (name: string) => {
+    const sc = scenarios.find((x) => x.name === name);
+    setActualsQuote(sc ? { name: sc.name, fromFile: false, params: { ...sc.params } } : null);
+  };
+
+  const importActualsQuote = async (file: File | undefined) => {
+    if (!file) return;
+    const d = stateFromJSON(await file.text(), display.messages);
+    if (d.ok) {
+      setActualsQuote({ name: file.name, fromFile: true, params: d.state.params });
+      setShareMessage({ kind: 'ok', text: t.quoteLoaded(file.name) });
+    } else {
+      setShareMessage({ kind: 'error', text: t.rejected(file.name, d.errors.join('; ')) });
+    }
+    if (quoteInputRef.current) quoteInputRef.current.value = '';
+  };
+
+  const copyShareLink = async () => {
+    if (!valid) { setShareMessage({ kind: 'error', text: invalidText }); return; }
+    const hash = encodeStateToHash({ params, substrate, pricing, contractYears });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+    window.history.replaceState(null, '', `#${hash}`);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareMessage({ kind: 'ok', text: t.linkCopied });
+    } catch {
+      setShareMessage({ kind: 'ok', text: t.linkInBar });
+    }
+  };
+
+  const exportJSON = () => {
+    if (!valid) { setShareMessage({ kind: 'error', text: invalidText }); return; }
+    const blob = new Blob([stateToJSON({ params, substrate, pricing, contractYears })], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'deltaone_inputs.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importJSON = async (file: File | undefined) => {
+    if (!file) return;
+    applyDecoded(stateFromJSON(await file.text(), display.messages), file.name);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const updateTemplate = (parsed: ParsedTemplate, source: string) => {
+    if (parsed.ok) {
+      setTemplate(parsed.template);
+      storeTemplate(parsed.template);
+    } else {
+      setShareMessage({ kind: 'error', text: t.rejected(source, parsed.errors.join('; ')) });
+    }
+    return parsed.ok;
+  };
+
+  const editTemplate = (patch: Partial<ProposalTemplate>) => updateTemplate(parseTemplate({ ...template, ...patch }, t.templateErrors), t.template);
+
+  const importTemplate = async (file: File | undefined) => {
+    if (!file) return;
+    let raw: unknown;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch {
+      raw = null;
+    }
+    if (updateTemplate(parseTemplate(raw, t.templateErrors), file.name)) setShareMessage({ kind: 'ok', text: t.templateLoaded(file.name) });
+    if (templateInputRef.current) templateInputRef.current.value = '';
+  };
+
+  const exportTemplate = () => {
+    const blob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'deltaone_pdf_template.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const uploadLogo = async (file: File | undefined) => {
+    if (!file) return;
+    const dataUrl = await new Promise<string>((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result));
+      reader.onerror = () => resolve('');
+      reader.readAsDataURL(file);
+    });
+    if (dataUrl) editTemplate({ logoDataUrl: dataUrl });
+    else setShareMessage({ kind: 'error', text: t.unreadable(file.name) });
+    if (logoInputRef.current) logoInputRef.current.value = '';
+  };
+
+  const updateScenarios = (list: Scenario[]) => {
+    setScenarios(list);
+    storeScenarios(list);
+  };
+
+  const saveScenario = () => {
+    if (!valid) { setShareMessage({ kind: 'error', text: invalidText }); return; }
+    const name = scenarioName.trim() || t.scenarioDefault(scenarios.length + 1);
+    const sc: Scenario = { name, params: { ...params }, substrate, pricing, contractYears, savedAt: new Date().toISOString() };
+    const exists = scenarios.some((x) => x.name === name);
+    updateScenarios(exists ? scenarios.map((x) => (x.name === name ? sc : x)) : [...scenarios, sc]);
+    setScenarioName('');
+  };
+
+  const deleteScenario = (name: string) => {
+    updateScenarios(scenarios.filter((x) => x.name !== name));
+    setCompared((c) => c.filter((n) => n !== name));
+    setActualsQuote((q) => (q && !q.fromFile && q.name === name ? null : q));
+  };
+
+  const toggleCompared = (name: string) => {
+    setCompared((c) => (c.includes(name) ? c.filter((n) => n !== name) : c.length < MAX_COMPARED ? [...c, name] : c));
+  };
+
+  const comparedScenarios = compared
+    .map((n) => scenarios.find((x) => x.name === n))
+    .filter((x): x is Scenario => !!x);
+
   const resetToDefaults = () => {
     setWebWidth(0.33);
     setJobsPerShift(6);
@@ -127,78 +978,255 @@ export default function DeltaOneROICalculator() {
     setStopsPerJobBaseline(6);
     setReductionPercent(50);
     setWastePerStopM(100);
+    setMinutesPerStop(0);
+    setOperatorHourlyCost(0);
+    setMarginPerPressHour(0);
     setSpeedMPerMin(165);
     setUptimePercent(60);
+    setTrimMode('mm');
+    setTrimInput(3);
+    setSubstrate('PETG');
     setSubstratePrice(0.6);
-    setHaasPrice(20000);
+    setHoursPerShift(8);
+    setPricing(DEFAULT_PRICING);
+    setContractYears(3);
+    setSubstrateInflationPercent(2);
+    setHaasEscalationPercent(2);
+    setDiscountRatePercent(8);
+    setRampUpStartPercent(50);
+    setRampUpMonths(3);
   };
 
   const handleExportPDF = async () => {
+    if (!valid || !projectionValid) {
+      if (typeof window !== 'undefined') alert(invalidText);
+      return;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(proposalDate)) {
+      if (typeof window !== 'undefined') alert(t.setDateFirst);
+      return;
+    }
     try {
       const { jsPDF } = await import('jspdf');
-      const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+      const doc = withSafeText(new jsPDF({ unit: 'pt', format: 'a4' }));
+      const details: ProposalDetails = { customerName: customerName.trim(), repName: repName.trim(), date: proposalDate, quoteNumber: quoteNumber.trim() };
+      const accent = hexToRgb(template.accentColor);
       const marginX = 56;
+      const fmtMoney = (v: number) => money0.format(Math.round(v));
       let y = 64;
 
-      const title = 'Veoria — DeltaOne ROI';
+      // Cover
+      doc.setFillColor(...accent);
+      doc.rect(0, 0, 595, 8, 'F');
+      if (template.logoDataUrl) {
+        const img = doc.getImageProperties(template.logoDataUrl);
+        const scale = Math.min(160 / img.width, 56 / img.height);
+        doc.addImage(template.logoDataUrl, img.fileType, marginX, 56, img.width * scale, img.height * scale);
+      } else {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.text(template.brandName, marginX, 84);
+      }
+      y = 280;
       doc.setFont('helvetica', 'bold');
-      doc.setFontSize(18);
-      doc.text(title, marginX, y);
-      y += 26;
-
+      doc.setFontSize(28);
+      doc.setTextColor(...accent);
+      doc.text(splitText(doc, template.coverTitle || t.pdf.coverTitle, 480), marginX, y);
+      doc.setTextColor(0);
+      y += 30;
       doc.setFont('helvetica', 'normal');
+      doc.setFontSize(12);
+      doc.setTextColor(90);
+      doc.text(splitText(doc, template.coverSubtitle || t.pdf.coverSubtitle, 480), marginX, y);
+      doc.setTextColor(0);
+      y += 56;
       doc.setFontSize(11);
-      const subtitle = 'Narrow‑web flexo • Savings from makeready and −3 mm web width';
-      doc.text(subtitle, marginX, y);
+      const coverRows: Array<[string, string]> = [
+        [t.pdf.preparedFor, details.customerName],
+        [t.pdf.preparedBy, details.repName],
+        [t.date, new Date(`${details.date}T00:00:00`).toLocaleDateString(display.dateLocale, { day: 'numeric', month: 'long', year: 'numeric' })],
+        [t.pdf.quote, details.quoteNumber],
+      ];
+      coverRows.filter(([, v]) => v).forEach(([k, v]) => {
+        doc.setTextColor(110);
+        doc.text(k, marginX, y);
+        doc.setTextColor(0);
+        doc.text(v, marginX + 110, y);
+        y += 18;
+      });
+      y = 600;
+      const headline: Array<[string, string]> = [
+        [t.pdf.savingsPerYear, fmtMoney(r.euroTotal)],
+        [t.pdf.netPerYear, fmtMoney(r.euroNet)],
+        [t.payback, paybackLabel],
+      ];
+      headline.forEach(([k, v], i) => {
+        const x = marginX + i * 165;
+        doc.setFontSize(9);
+        doc.setTextColor(110);
+        doc.text(k.toUpperCase(), x, y);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.setTextColor(...accent);
+        doc.text(v, x, y + 24);
+        doc.setFont('helvetica', 'normal');
+      });
+      doc.setTextColor(130);
+      doc.setFontSize(8);
+      doc.text(splitText(doc, template.disclaimer || t.pdf.disclaimer, 480), marginX, 780);
+      doc.setTextColor(0);
+
+      // Results
+      doc.addPage();
+      y = pageTitle(doc, marginX, 64, t.results, accent);
+      doc.setFontSize(10);
+      doc.text(t.pdf.resultsSub(trim), marginX, y);
       y += 24;
+      y = drawBars(doc, marginX, y, [
+        { label: t.makeready, value: r.euroCalage },
+        { label: trim, value: r.euroTrim },
+        { label: t.labour, value: r.euroLabour },
+        { label: t.extraCapacity, value: r.euroCapacity },
+        { label: t.pdf.totalSavings, value: r.euroTotal },
+        { label: t.params.haasPrice, value: -haasPrice },
+        { label: t.netVsHaas, value: r.euroNet },
+      ], fmtMoney, accent);
+      y += 16;
 
+      doc.setFontSize(11);
       doc.setFont('helvetica', 'bold');
-      doc.text('Results (€/year)', marginX, y);
+      doc.text(t.pdf.resultsPerYear(display.symbol), marginX, y);
       y += 16;
       doc.setFont('helvetica', 'normal');
-      row(doc, marginX, y, 'Makeready', money0.format(Math.round(r.euroCalage))); y += 16;
-      row(doc, marginX, y, '−3 mm', money0.format(Math.round(r.euroThreeMm))); y += 16;
+      row(doc, marginX, y, t.makeready, fmtMoney(r.euroCalage)); y += 16;
+      row(doc, marginX, y, trim, fmtMoney(r.euroTrim)); y += 16;
+      row(doc, marginX, y, t.labour, fmtMoney(r.euroLabour)); y += 16;
+      row(doc, marginX, y, t.extraCapacity, fmtMoney(r.euroCapacity)); y += 16;
       doc.setDrawColor(220);
       doc.line(marginX, y + 4, 556, y + 4);
       y += 18;
-      row(doc, marginX, y, 'Total', money0.format(Math.round(r.euroTotal))); y += 18;
-      row(doc, marginX, y, 'Net vs HaaS', money0.format(Math.round(r.euroNet)));
+      row(doc, marginX, y, t.total, fmtMoney(r.euroTotal)); y += 18;
+      row(doc, marginX, y, t.netVsHaas, fmtMoney(r.euroNet)); y += 16;
+      doc.setFontSize(9);
+      doc.setTextColor(110);
+      const pricingLines = splitText(doc, `${t.pricingTitle} — ${pricingText}`, 480);
+      doc.text(pricingLines, marginX, y);
+      y += pricingLines.length * 12 + 4;
+      doc.setTextColor(0);
+      doc.setFontSize(11);
+      row(doc, marginX, y, t.pdf.timeFreed, t.pdf.timeFreedValue(number0.format(Math.round(r.hoursFreedPerYear)), number0.format(Math.floor(r.extraJobsPerYear))));
       y += 28;
 
       doc.setFont('helvetica', 'bold');
-      doc.text('Inputs', marginX, y);
+      doc.text(t.pdf.projection(contractYears), marginX, y);
       y += 16;
       doc.setFont('helvetica', 'normal');
-      const inputs: Array<[string, string]> = [
-        ['Web width', `${webWidth.toFixed(2)} m`],
-        ['Jobs/shift', `${jobsPerShift}`],
-        ['Shifts/day', `${shiftsPerDay}`],
-        ['Days/year', `${daysPerYear}`],
-        ['Stops/job', `${stopsPerJobBaseline}`],
-        ['Stop reduction', `${reductionPercent}%`],
-        ['Waste/stop', `${wastePerStopM} m`],
-        ['Speed', `${speedMPerMin} m/min`],
-        ['Uptime', `${uptimePercent}%`],
-        ['Hours/shift', `${hoursPerShift}`],
-        ['Substrate', `${substrate}`],
-        ['Substrate price', `${substratePrice} €/m²`],
-        ['HaaS', money0.format(haasPrice)],
-      ];
-      inputs.forEach(([k, v]) => { row(doc, marginX, y, k, v); y += 16; });
-
-      y += 10;
+      proj.years.forEach((yr) => {
+        row(doc, marginX, y, t.pdf.yearLine(yr.year, fmtMoney(yr.savings), fmtMoney(yr.haas)), fmtMoney(yr.net));
+        y += 16;
+      });
       doc.setDrawColor(220);
-      doc.line(marginX, y, 556, y);
+      doc.line(marginX, y + 4, 556, y + 4);
       y += 18;
+      row(doc, marginX, y, t.pdf.cumulativeNet, fmtMoney(proj.totalNet)); y += 16;
+      row(doc, marginX, y, t.npvAt(display.pct(discountRatePercent)), fmtMoney(proj.npv)); y += 16;
+      row(doc, marginX, y, t.irr, irrLabel); y += 16;
+      row(doc, marginX, y, t.payback, paybackLabel);
 
-      doc.setFontSize(10);
-      const note = 'Method: m² = width × length. Makeready m² = web × waste/stop × stops avoided × jobs/year. −3 mm m² = 0.003 × printed length.';
-      doc.text(splitText(doc, note, 500), marginX, y);
+      if (template.sections.sustainability && material && impact && substrateSpec) {
+        doc.addPage();
+        y = pageTitle(doc, marginX, 64, t.method.headings.sustainability, accent);
+        doc.setFontSize(10);
+        doc.text(t.pdf.specLine(substrate, display.num(substrateSpec.thicknessMicron), display.num(substrateSpec.densityGPerCm3), display.num(material.kgPerM2, 4), display.num(substrateSpec.co2eKgPerKg)), marginX, y);
+        y += 24;
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.text(t.pdf.materialSaved, marginX, y);
+        y += 16;
+        doc.setFont('helvetica', 'normal');
+        row(doc, marginX, y, t.makeready, `${display.area(r.m2CalagePerYear)} · ${kg0(material.kgCalagePerYear)}`); y += 16;
+        row(doc, marginX, y, trim, `${display.area(r.m2TrimPerYear)} · ${kg0(material.kgTrimPerYear)}`); y += 16;
+        doc.setDrawColor(220);
+        doc.line(marginX, y + 4, 556, y + 4);
+        y += 18;
+        row(doc, marginX, y, t.filmSaved, t1(impact.tonnesPerYear)); y += 16;
+        row(doc, marginX, y, t.co2eAvoided, t1(impact.co2eTonnesPerYear)); y += 16;
+        row(doc, marginX, y, t.co2eOver(contractYears), t1(impact.co2eTonnesOverContract));
+        y += 28;
+        doc.setFont('helvetica', 'bold');
+        doc.text(t.eachYear, marginX, y);
+        y += 16;
+        doc.setFont('helvetica', 'normal');
+        impact.equivalents.forEach((eq) => { row(doc, marginX, y, t.equivalents[eq.key][0], `${number0.format(Math.round(eq.value))} ${t.equivalents[eq.key][1]}`); y += 16; });
+      }
+
+      if (template.sections.sensitivity) {
+        doc.addPage();
+        y = pageTitle(doc, marginX, 64, t.pdf.sensitivityTitle(sensitivityRangePercent), accent);
+        doc.setFontSize(10);
+        doc.text(splitText(doc, t.pdf.sensitivityBase(fmtMoney(r.euroNet), sensitivityRangePercent), 480), marginX, y);
+        y += 24;
+        y = drawTornado(doc, marginX, y, sensitivity, r.euroNet, fmtMoney, (key) => t.params[key]);
+        y += 16;
+        doc.setFont('helvetica', 'bold');
+        doc.text(t.pdf.breakEvenTitle, marginX, y);
+        y += 16;
+        doc.setFont('helvetica', 'normal');
+        sensitivity.forEach((s) => { row(doc, marginX, y, t.params[s.key], breakEvenLabel(s)); y += 14; });
+      }
+
+      if (template.sections.methodology) {
+        doc.addPage();
+        y = pageTitle(doc, marginX, 64, t.pdf.methodology, accent);
+        const method = methodParagraphs(t, methodValues, !!material);
+        method.forEach(([k, text]) => {
+          doc.setFont('helvetica', 'bold');
+          doc.setFontSize(11);
+          doc.text(k, marginX, y);
+          y += 15;
+          doc.setFont('helvetica', 'normal');
+          doc.setFontSize(10);
+          const lines = splitText(doc, text, 480);
+          doc.text(lines, marginX, y);
+          y += lines.length * 13 + 14;
+        });
+      }
 
-      doc.save('veoria_deltaone_roi.pdf');
+      if (template.sections.inputs) {
+        doc.addPage();
+        y = pageTitle(doc, marginX, 64, t.pdf.appendix, accent);
+        doc.setFontSize(11);
+        const inputs: Array<[string, string]> = [
+          ...PARAM_KEYS.flatMap((key): Array<[string, string]> => {
+            const line: [string, string] = [t.params[key], display.param(key, params[key])];
+            if (key === 'haasPrice') {
+              return [
+                line,
+                [t.pricingTitle, t.pricingKinds[pricing.kind]],
+                ...PRICING_FIELDS[pricing.kind].map((f): [string, string] => [t.pricingFields[f], display.pricingValue(f, pricing[f])]),
+                ...(haas.discountPercent > 0 ? [[t.pricingFields.discountPercent, display.pct(haas.discountPercent)] as [string, string]] : []),
+              ];
+            }
+            return key === 'substratePrice' ? [[t.substrate, substrate], line] : [line];
+          }),
+          [t.contract, t.pdf.contractYears(contractYears)],
+          [t.pdf.substrateInflation, t.pdf.perYearPct(display.pct(substrateInflationPercent))],
+          [t.pdf.haasEscalation, t.pdf.perYearPct(display.pct(haasEscalationPercent))],
+          [t.pdf.discountRate, display.pct(discountRatePercent)],
+          [t.pdf.rampUp, t.pdf.rampUpValue(display.pct(rampUpStartPercent), rampUpMonths)],
+          ...(display.currency === 'EUR' ? [] : [[t.currency, `1 EUR = ${display.num(localeSettings.rates[display.currency], 4)} ${display.currency}`] as [string, string]]),
+        ];
+        inputs.forEach(([k, v]) => {
+          if (y > 780) { doc.addPage(); y = 64; }
+          row(doc, marginX, y, k, v); y += 16;
+        });
+      }
+
+      drawFooters(doc, template, details, t.pdf.quote);
+      doc.save(proposalFileName(details));
     } catch (e) {
       console.error(e);
-      if (typeof window !== 'undefined') alert("PDF export failed. Install 'jspdf'.");
+      if (typeof window !== 'undefined') alert(t.pdfFailed);
     }
   };
 
@@ -208,153 +1236,870 @@ export default function DeltaOneROICalculator() {
       <div className="sticky top-0 z-30 backdrop-blur supports-[backdrop-filter]:bg-white/70 bg-white/90 border-b border-zinc-200">
         <div className="mx-auto max-w-6xl px-5 py-3 flex items-center justify-between">
           <div className="font-medium tracking-tight">Veoria — DeltaOne ROI</div>
-          <div className="text-xs text-zinc-500">Minimal • Precise</div>
+          <div className="flex items-center gap-3">
+            <div className="text-xs text-zinc-500">{t.brandBar}</div>
+            <div className="inline-flex rounded-full border border-zinc-300 p-0.5 bg-white" role="group" aria-label={t.language}>
+              {LANGS.map((l) => (
+                <button key={l.code} type="button" onClick={() => changeLang(l.code)}
+                  className={`px-2 py-0.5 text-xs rounded-full ${localeSettings.lang === l.code ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                  {l.label}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
       </div>
 
       {/* Hero */}
       <section className="mx-auto max-w-6xl px-5 pt-10 pb-6 text-center">
         <motion.h1 initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.35 }} className="text-[34px] md:text-[44px] font-semibold tracking-tight">
-          Calculate savings with clarity.
+          {t.hero}
         </motion.h1>
-        <p className="mt-2 text-sm text-zinc-600">Makeready cuts and −3 mm web gains.</p>
-        <div className="mt-5 flex justify-center gap-2">
+        <p className="mt-2 text-sm text-zinc-600">{t.heroSub(trim)}</p>
+        <div className="mt-5 flex justify-center">
+          <div className="inline-flex rounded-full border border-zinc-300 p-0.5 bg-white">
+            {(['single', 'fleet'] as const).map((m) => (
+              <button key={m} type="button" onClick={() => setMode(m)}
+                className={`px-3 py-1.5 text-sm rounded-full ${mode === m ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                {m === 'single' ? t.singlePress : t.fleet}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="mt-3 flex justify-center gap-2">
           <Button onClick={() => document.getElementById("calculator")?.scrollIntoView({ behavior: "smooth" })} className="rounded-full px-4">
-            Start <ArrowRight className="ml-2 h-4 w-4" />
+            {t.start} <ArrowRight className="ml-2 h-4 w-4" />
           </Button>
-          <Button variant="secondary" onClick={handleExportPDF} className="rounded-full"><FileDown className="mr-2 h-4 w-4"/>Export PDF</Button>
+          <Button variant="secondary" onClick={handleExportPDF} className="rounded-full"><FileDown className="mr-2 h-4 w-4"/>{t.exportPdf}</Button>
         </div>
       </section>
 
       {/* Main */}
       <main id="calculator" className="mx-auto max-w-6xl px-5 pb-14 grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {shareMessage && (
+          <div className={`lg:col-span-3 rounded-xl border px-4 py-2 text-sm flex items-start justify-between gap-3 ${shareMessage.kind === 'error' ? 'border-red-200 bg-red-50 text-red-800' : 'border-emerald-200 bg-emerald-50 text-emerald-800'}`}>
+            <span>{shareMessage.text}</span>
+            <button type="button" onClick={() => setShareMessage(null)} className="text-xs underline">{t.dismiss}</button>
+          </div>
+        )}
         <div className="lg:col-span-2 space-y-6">
-          <Panel title="Production">
+          {mode === 'fleet' && (
+            <Panel title={t.fleet}>
+              <FleetTable fleet={fleet} display={display} onEdit={editPress}
+                onUseCurrent={(id) => editPress(id, { params: { ...params } })}
+                onDelete={(id) => updateFleet(presses.filter((press) => press.id !== id))} />
+              <div className="flex flex-wrap gap-2 mt-3">
+                <Button variant="secondary" onClick={addPress} disabled={!valid} className="rounded-full">{t.addPress}</Button>
+                <Button variant="secondary" onClick={priceFleet} disabled={!Number.isFinite(haasPrice) || presses.length === 0} className="rounded-full">{t.priceFleet}</Button>
+              </div>
+              <div className="mt-2 text-[11px] text-zinc-500">{t.fleetNote}</div>
+            </Panel>
+          )}
+
+          <Panel title={t.production}>
             <div className="grid grid-cols-1 gap-4">
               {/* Web width slider */}
               <label className="block">
-                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">Web width (m)</div>
-                <Slider value={[webWidth]} min={0.20} max={1.00} step={0.01} onValueChange={(v) => setWebWidth(Number(v[0].toFixed(2)))} />
-                <div className="mt-1 text-sm text-zinc-700">Current: <span className="font-medium">{webWidth.toFixed(2)} m</span></div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{fieldLabel(widthView)}</div>
+                <Slider value={[widthView.toDisplay(webWidth)]} min={widthView.min} max={widthView.max} step={widthView.step} onValueChange={(v) => setWebWidth(Number(widthView.fromDisplay(v[0]).toFixed(4)))} />
+                <div className="mt-1 text-sm text-zinc-700">{t.current} <span className="font-medium">{display.param('webWidth', webWidth)}</span></div>
               </label>
 
-              <Field label="Jobs/shift"><Input type="number" step={1} value={jobsPerShift} onChange={(e) => setJobsPerShift(parseInt(e.target.value || '0', 10))} /></Field>
+              <ParamInput view={display.field('jobsPerShift')} value={jobsPerShift} onChange={setJobsPerShift} error={errors.jobsPerShift} />
 
               <div>
-                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">Shifts/day</div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.params.shiftsPerDay}</div>
                 <Segmented value={shiftsPerDay} onChange={setShiftsPerDay} options={[1,2,3]} />
               </div>
 
-              <Field label="Days/year"><Input type="number" step={10} value={daysPerYear} onChange={(e) => setDaysPerYear(parseInt(e.target.value || '0', 10))} /></Field>
+              <ParamInput view={display.field('hoursPerShift')} value={hoursPerShift} onChange={setHoursPerShift} error={errors.hoursPerShift} />
+
+              <ParamInput view={display.field('daysPerYear')} value={daysPerYear} onChange={setDaysPerYear} error={errors.daysPerYear} />
             </div>
 
             {/* Key figure: Jobs/year */}
             <div className="mt-4">
-              <BigStat label="Jobs/year" value={number0.format(r.jobsPerYear)} />
+              <BigStat label={t.jobsPerYear} value={show(number0.format(r.jobsPerYear))} />
             </div>
           </Panel>
 
-          <Panel title="Makeready">
+          <Panel title={t.makeready}>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <Field label="Stops/job"><Input type="number" step={1} value={stopsPerJobBaseline} onChange={(e) => setStopsPerJobBaseline(parseInt(e.target.value || '0', 10))} /></Field>
-              <Field label="Reduction (%)">
-                <Slider value={[reductionPercent]} min={0} max={100} step={1} onValueChange={(v) => setReductionPercent(v[0])} />
-                <div className="text-xs text-zinc-500 mt-1">{reductionPercent}%</div>
+              <ParamInput view={display.field('stopsPerJobBaseline')} value={stopsPerJobBaseline} onChange={changeStopsPerJob} error={errors.stopsPerJobBaseline} />
+              <Field label={fieldLabel(display.field('reductionPercent'))} error={errors.reductionPercent}>
+                <Slider value={[reductionPercent]} min={PARAM_SCHEMA.reductionPercent.min} max={PARAM_SCHEMA.reductionPercent.max} step={PARAM_SCHEMA.reductionPercent.step} onValueChange={(v) => setReductionPercent(snapReduction(v[0], stopsPerJobBaseline))} />
+                <div className="text-xs text-zinc-500 mt-1">{display.param('reductionPercent', reductionPercent)}</div>
               </Field>
-              <Field label="Waste/stop (m)"><Input type="number" step={5} value={wastePerStopM} onChange={(e) => setWastePerStopM(parseInt(e.target.value || '0', 10))} /></Field>
+              <ParamInput view={display.field('wastePerStopM')} value={wastePerStopM} onChange={setWastePerStopM} error={errors.wastePerStopM} />
             </div>
 
             {/* Highlight stops avoided */}
             <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
-              <BigStat label="Stops avoided/job" value={stopsAvoidedPerJob.toFixed(2)} smallNote={`from ${stopsPerJobBaseline} at ${reductionPercent}%`} />
-              <BigStat label="Makeready saved m²/year" value={number0.format(Math.round(r.m2CalagePerYear)) + " m²"} />
+              <BigStat label={t.stopsAvoidedPerJob} value={show(number0.format(stopsAvoidedPerJob))} smallNote={t.fromAt(stopsPerJobBaseline, display.param('reductionPercent', reductionPercent))} />
+              <BigStat label={t.makereadySavedArea(display.areaUnit)} value={show(display.area(r.m2CalagePerYear))} />
             </div>
 
-            <div className="mt-3 text-xs text-zinc-500">m²/stop <span className="text-zinc-800 font-medium ml-1">{number0.format(Math.round(r.m2PerStop))}</span></div>
+            <div className="mt-3 text-xs text-zinc-500">{t.areaPerStop(display.areaUnit)} <span className="text-zinc-800 font-medium ml-1">{show(number0.format(Math.round(areaIn(display.units, r.m2PerStop))))}</span></div>
           </Panel>
 
-          <Panel title="Web −3 mm">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <Field label="Speed (m/min)">
-                <Slider value={[speedMPerMin]} min={0} max={300} step={5} onValueChange={(v) => setSpeedMPerMin(v[0])} />
-                <div className="text-xs text-zinc-500 mt-1">{number0.format(speedMPerMin)} m/min</div>
+          <Panel title={t.pressTime}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <ParamInput view={display.field('minutesPerStop')} value={minutesPerStop} onChange={setMinutesPerStop} error={errors.minutesPerStop} />
+              <ParamInput view={display.field('operatorHourlyCost')} value={operatorHourlyCost} onChange={setOperatorHourlyCost} error={errors.operatorHourlyCost} />
+              <ParamInput view={display.field('marginPerPressHour')} value={marginPerPressHour} onChange={setMarginPerPressHour} error={errors.marginPerPressHour} />
+            </div>
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+              <BigStat label={t.hoursFreed} value={show(number0.format(Math.round(r.hoursFreedPerYear)) + " h")} smallNote={t.stopsTimes(number0.format(Math.round(stopsAvoidedPerYear)), display.param('minutesPerStop', minutesPerStop))} />
+              <BigStat label={t.extraJobs} value={show("+" + number0.format(Math.floor(r.extraJobsPerYear)))} smallNote={t.atJobLength} />
+            </div>
+            <div className="mt-3 text-xs text-zinc-500">{t.marginNote}</div>
+          </Panel>
+
+          <Panel title={t.web(trim)}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Field label={trimMode === 'mm' ? fieldLabel(trimView) : t.trimPercent} error={errors.trimReductionMm}>
+                <div className="flex gap-2">
+                  <Input type="number" min={0} step={trimMode === 'mm' ? trimView.step : 0.1} value={Number.isFinite(trimInput) ? (trimMode === 'mm' ? trimView.toDisplay(trimInput) : trimInput) : ''}
+                    aria-invalid={!!errors.trimReductionMm} className={errors.trimReductionMm ? 'border-red-400' : undefined}
+                    onChange={(e) => setTrimInput(e.target.value.trim() === '' ? NaN : trimMode === 'mm' ? trimView.fromDisplay(Number(e.target.value)) : Number(e.target.value))} />
+                  <div className="inline-flex shrink-0 rounded-full border border-zinc-300 p-0.5 bg-white">
+                    {(['mm', 'percent'] as const).map((m) => (
+                      <button key={m} type="button" onClick={() => changeTrimMode(m)}
+                        className={`px-2.5 py-1 text-xs rounded-full ${trimMode === m ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                        {m === 'mm' ? trimView.unit : '%'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {trimMode === 'percent' && Number.isFinite(trimReductionMm) && <div className="text-xs text-zinc-500 mt-1">{t.trimAt(display.param('trimReductionMm', trimReductionMm), display.param('webWidth', webWidth))}</div>}
+              </Field>
+              <Field label={fieldLabel(speedView)}>
+                <Slider value={[speedView.toDisplay(speedMPerMin)]} min={speedView.min} max={speedView.max} step={speedView.step} onValueChange={(v) => setSpeedMPerMin(Number(speedView.fromDisplay(v[0]).toFixed(4)))} />
+                <div className="text-xs text-zinc-500 mt-1">{display.param('speedMPerMin', speedMPerMin)}</div>
               </Field>
-              <Field label="Uptime (%)">
-                <Slider value={[uptimePercent]} min={0} max={100} step={1} onValueChange={(v) => setUptimePercent(v[0])} />
-                <div className="text-xs text-zinc-500 mt-1">{uptimePercent}%</div>
+              <Field label={fieldLabel(display.field('uptimePercent'))}>
+                <Slider value={[uptimePercent]} min={PARAM_SCHEMA.uptimePercent.min} max={PARAM_SCHEMA.uptimePercent.max} step={PARAM_SCHEMA.uptimePercent.step} onValueChange={(v) => setUptimePercent(v[0])} />
+                <div className="text-xs text-zinc-500 mt-1">{display.pct(uptimePercent)}</div>
               </Field>
             </div>
-            <div className="mt-3 text-xs text-zinc-500">Printed/year <span className="text-zinc-800 font-medium ml-1">{number0.format(Math.round(r.printedLengthPerYear))}</span> m</div>
+            <div className="mt-3 text-xs text-zinc-500">{t.printedPerYear} <span className="text-zinc-800 font-medium ml-1">{show(display.length(r.printedLengthPerYear))}</span></div>
             <div className="mt-4">
-              <BigStat label="−3 mm saved m²/year" value={number0.format(Math.round(r.m2ThreeMmPerYear)) + " m²"} />
+              <BigStat label={t.trimSavedArea(trim, display.areaUnit)} value={show(display.area(r.m2TrimPerYear))} />
             </div>
           </Panel>
 
-          <Panel title="Economics">
+          <Panel title={t.economics}>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div>
-                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">Substrate</div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.substrate}</div>
                 <div className="flex flex-wrap gap-2">
-                  {(['PETG','PVC','OPS','BOPP'] as const).map((s) => (
-                    <button key={s} type="button" onClick={() => { setSubstrate(s); const def:{[k in 'PETG'|'PVC'|'OPS'|'BOPP']:number} = { PETG:0.6, PVC:0.45, OPS:0.52, BOPP:0.30 }; setSubstratePrice(def[s]); }}
-                      className={`text-xs px-2 py-1 rounded-full border ${substrate===s? 'border-zinc-900 bg-zinc-900 text-white':'border-zinc-300 hover:bg-zinc-50 text-zinc-700'}`}>
-                      {s}
+                  {catalog.map((spec) => (
+                    <button key={spec.name} type="button" onClick={() => selectSubstrate(spec)}
+                      className={`text-xs px-2 py-1 rounded-full border ${substrate===spec.name? 'border-zinc-900 bg-zinc-900 text-white':'border-zinc-300 hover:bg-zinc-50 text-zinc-700'}`}>
+                      {spec.name}
                     </button>
                   ))}
                 </div>
-                <div className="mt-1 text-xs text-zinc-500">Typical €/m² set on click. You can override.</div>
+                <div className="mt-1 text-xs text-zinc-500">{t.catalogHint(display.field('substratePrice').unit)}</div>
+                {!substrateSpec && <div className="mt-1 text-[11px] text-amber-700">{t.notInCatalog(substrate)}</div>}
               </div>
-              <Field label="Substrate price (€/m²)"><Input type="number" step={0.01} value={substratePrice} onChange={(e) => setSubstratePrice(parseFloat(e.target.value || '0'))} /></Field>
+              <ParamInput view={display.field('substratePrice')} value={substratePrice} onChange={setSubstratePrice} error={errors.substratePrice} />
               <div>
-                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">DeltaOne HaaS</div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.haasOffer}</div>
                 <div className="rounded-xl border border-zinc-200 bg-white p-3 text-center">
-                  <div className="text-2xl font-semibold">{money0.format(haasPrice)}<span className="text-sm font-normal text-zinc-500">/year</span></div>
-                  <div className="mt-1 text-[11px] text-zinc-500">Fixed offer. Use as ROI benchmark.</div>
+                  <div className="text-2xl font-semibold">{Number.isFinite(haasPrice) ? money0.format(Math.round(haasPrice)) : '—'}<span className="text-sm font-normal text-zinc-500">/{t.perYear}</span></div>
+                  <div className="mt-1 text-[11px] text-zinc-500">{pricingText}</div>
+                  {pricing.kind === 'purchase' && <div className="mt-1 text-[11px] text-zinc-500">{t.spreadNote(contractYears)}</div>}
                 </div>
+                {errors.haasPrice && Number.isFinite(haasPrice) && <div className="mt-1 text-[11px] text-red-700">{errors.haasPrice}</div>}
               </div>
             </div>
             <div className="flex flex-wrap gap-2 mt-3">
-              <button type="button" onClick={()=>setSubstratePrice(0.5)} className="text-xs px-2 py-1 rounded-full border border-zinc-300">€0.50</button>
-              <button type="button" onClick={()=>setSubstratePrice(0.6)} className="text-xs px-2 py-1 rounded-full border border-zinc-300">€0.60</button>
-              <button type="button" onClick={()=>setSubstratePrice(0.7)} className="text-xs px-2 py-1 rounded-full border border-zinc-300">€0.70</button>
+              {[0.5, 0.6, 0.7].map((price) => (
+                <button key={price} type="button" onClick={()=>setSubstratePrice(price)} className="text-xs px-2 py-1 rounded-full border border-zinc-300">{display.param('substratePrice', price)}</button>
+              ))}
             </div>
             <div className="flex gap-3 mt-4">
-              <Button variant="secondary" onClick={resetToDefaults} className="rounded-full"><RefreshCcw className="mr-2 h-4 w-4" />Reset</Button>
-              <Button onClick={handleExportPDF} className="rounded-full"><FileDown className="mr-2 h-4 w-4"/>Export PDF</Button>
+              <Button variant="secondary" onClick={resetToDefaults} className="rounded-full"><RefreshCcw className="mr-2 h-4 w-4" />{t.reset}</Button>
+              <Button onClick={handleExportPDF} className="rounded-full"><FileDown className="mr-2 h-4 w-4"/>{t.exportPdf}</Button>
+            </div>
+          </Panel>
+
+          <Panel title={t.pricingTitle}>
+            <div className="inline-flex flex-wrap rounded-full border border-zinc-300 p-0.5 bg-white">
+              {PRICING_KINDS.map((kind) => (
+                <button key={kind} type="button" onClick={() => editPricing({ kind })}
+                  className={`px-2.5 py-1 text-xs rounded-full ${pricing.kind === kind ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                  {t.pricingKinds[kind]}
+                </button>
+              ))}
+            </div>
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+              {PRICING_FIELDS[pricing.kind].map((f) => (
+                <ParamInput key={f} view={display.pricing(f)} value={pricing[f]} onChange={(v) => editPricing({ [f]: v })} error={pricingErrors.fields[f]} />
+              ))}
+            </div>
+
+            <div className="mt-4 text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.volumeTiers}</div>
+            <div className="max-w-sm">
+              <div className="grid grid-cols-[1fr_1fr_2rem] gap-2 pb-1 text-[10px] uppercase tracking-wide text-zinc-500">
+                <div>{fieldLabel(display.pricing('minUnits'))}</div>
+                <div>{fieldLabel(display.pricing('discountPercent'))}</div>
+                <div />
+              </div>
+              {pricing.tiers.map((tier, i) => {
+                const tierErrors = pricingErrors.tiers[i] ?? {};
+                return (
+                  <div key={i} className="py-1">
+                    <div className="grid grid-cols-[1fr_1fr_2rem] gap-2 items-center">
+                      {(['minUnits', 'discountPercent'] as const).map((f) => {
+                        const v = display.pricing(f);
+                        return (
+                          <Input key={f} type="number" aria-label={v.label} min={v.min} max={v.max} step={v.step}
+                            value={Number.isFinite(tier[f]) ? v.toDisplay(tier[f]) : ''} aria-invalid={!!tierErrors[f]} className={tierErrors[f] ? 'border-red-400' : undefined}
+                            onChange={(e) => editTier(i, { [f]: e.target.value.trim() === '' ? NaN : v.fromDisplay(Number(e.target.value)) })} />
+                        );
+                      })}
+                      <button type="button" onClick={() => editPricing({ tiers: pricing.tiers.filter((_, j) => j !== i) })} className="text-zinc-500 hover:text-zinc-900" aria-label={t.deleteTier(tier.minUnits)}><Trash2 className="h-4 w-4" /></button>
+                    </div>
+                    {(tierErrors.minUnits || tierErrors.discountPercent) && <div className="mt-1 text-[11px] text-red-700">{tierErrors.minUnits ?? tierErrors.discountPercent}</div>}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button type="button" onClick={() => editPricing({ tiers: [...pricing.tiers, { minUnits: Math.max(2, ...pricing.tiers.map((tier) => tier.minUnits + 1).filter(Number.isFinite)), discountPercent: 0 }] })}
+                className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.addTier}</button>
+            </div>
+            <div className="mt-2 text-[11px] text-zinc-500">{t.tiersNote}</div>
+          </Panel>
+
+          <Panel title={t.region}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.numberFormat}</div>
+                <select value={localeSettings.numberLocale} onChange={(e) => updateLocale({ numberLocale: e.target.value })}
+                  className="h-9 w-full rounded-md border border-zinc-300 bg-white px-2 text-sm">
+                  {NUMBER_LOCALES.map((l) => (
+                    <option key={l.code} value={l.code}>{l.region} — {(1234567.89).toLocaleString(l.code)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.units}</div>
+                <div className="inline-flex rounded-full border border-zinc-300 p-0.5 bg-white">
+                  {UNIT_SYSTEMS.map((u) => (
+                    <button key={u} type="button" onClick={() => updateLocale({ units: u })}
+                      className={`px-2.5 py-1 text-xs rounded-full ${localeSettings.units === u ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                      {t.unitSystems[u]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.currency}</div>
+                <div className="inline-flex rounded-full border border-zinc-300 p-0.5 bg-white">
+                  {CURRENCIES.map((c) => (
+                    <button key={c} type="button" onClick={() => updateLocale({ currency: c })}
+                      className={`px-2.5 py-1 text-xs rounded-full ${localeSettings.currency === c ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                      {c}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {localeSettings.currency !== 'EUR' && (
+                <Field label={t.exchangeRate(localeSettings.currency)} error={rateValid ? undefined : t.rateError}>
+                  <Input type="number" min={0} step={0.0001} value={rateText} aria-invalid={!rateValid}
+                    className={rateValid ? undefined : 'border-red-400'} onChange={(e) => changeRate(e.target.value)} />
+                </Field>
+              )}
+            </div>
+            <div className="mt-2 text-[11px] text-zinc-500">{t.regionNote}</div>
+          </Panel>
+
+          <Panel title={t.proposal}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field label={t.customer}><Input value={customerName} maxLength={80} placeholder={t.companyName} onChange={(e) => setCustomerName(e.target.value)} /></Field>
+              <Field label={t.salesRep}><Input value={repName} maxLength={80} onChange={(e) => setRepName(e.target.value)} /></Field>
+              <Field label={t.date} error={/^\d{4}-\d{2}-\d{2}$/.test(proposalDate) ? undefined : t.required}><Input type="date" value={proposalDate} onChange={(e) => setProposalDate(e.target.value)} /></Field>
+              <Field label={t.quoteNumber}><Input value={quoteNumber} maxLength={40} onChange={(e) => setQuoteNumber(e.target.value)} /></Field>
+            </div>
+            <Separator className="my-4" />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.logo}</div>
+                <div className="flex items-center gap-2">
+                  {template.logoDataUrl
+                    ? <img src={template.logoDataUrl} alt={t.logo} className="h-8 max-w-[7rem] object-contain" />
+                    : <span className="text-xs text-zinc-500">{t.textLogo(template.brandName)}</span>}
+                  <button type="button" onClick={() => logoInputRef.current?.click()} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.upload}</button>
+                  {template.logoDataUrl && <button type="button" onClick={() => editTemplate({ logoDataUrl: '' })} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.remove}</button>}
+                  <input ref={logoInputRef} type="file" accept="image/png,image/jpeg" className="hidden" onChange={(e) => uploadLogo(e.target.files?.[0])} />
+                </div>
+              </div>
+              <Field label={t.accentColour}><Input type="color" value={template.accentColor} onChange={(e) => editTemplate({ accentColor: e.target.value })} className="h-9 p-1" /></Field>
+              <div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.pages}</div>
+                <div className="flex flex-wrap gap-x-3 gap-y-1">
+                  {PROPOSAL_SECTIONS.map((sec) => (
+                    <label key={sec} className="inline-flex items-center gap-1 text-xs text-zinc-700">
+                      <input type="checkbox" checked={template.sections[sec]} onChange={(e) => editTemplate({ sections: { ...template.sections, [sec]: e.target.checked } })} />
+                      {t.sections[sec]}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button type="button" onClick={() => templateInputRef.current?.click()} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.importTemplate}</button>
+              <button type="button" onClick={exportTemplate} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.downloadTemplate}</button>
+              <button type="button" onClick={() => updateTemplate({ ok: true, template: DEFAULT_TEMPLATE }, t.template)} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.restoreDefault}</button>
+              <input ref={templateInputRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => importTemplate(e.target.files?.[0])} />
+            </div>
+            <div className="mt-2 text-[11px] text-zinc-500">{t.templateNote} {t.file} {proposalFileName({ customerName, repName, date: proposalDate, quoteNumber })}</div>
+            <div className="flex gap-3 mt-4">
+              <Button onClick={handleExportPDF} className="rounded-full"><FileDown className="mr-2 h-4 w-4"/>{t.exportProposal}</Button>
+            </div>
+          </Panel>
+
+          <Panel title={t.catalog}>
+            <div className="overflow-x-auto">
+              <div className="grid grid-cols-[minmax(7rem,1.4fr)_repeat(4,minmax(4.5rem,1fr))_2rem] gap-2 pb-1 text-[10px] uppercase tracking-wide text-zinc-500 min-w-[34rem]">
+                <div>{t.material}</div>
+                {SPEC_FIELDS.map((f) => <div key={f}>{fieldLabel(display.spec(f))}</div>)}
+                <div />
+              </div>
+              {catalog.map((spec, i) => {
+                const specError = checkSpec(spec, catalog.slice(0, i), display.messages);
+                return (
+                  <div key={i} className="py-1 min-w-[34rem]">
+                    <div className="grid grid-cols-[minmax(7rem,1.4fr)_repeat(4,minmax(4.5rem,1fr))_2rem] gap-2 items-center">
+                      <Input aria-label={t.materialName} value={spec.name} onChange={(e) => editSpec(i, { name: e.target.value })} />
+                      {SPEC_FIELDS.map((f) => {
+                        const v = display.spec(f);
+                        return (
+                          <Input key={f} type="number" aria-label={`${spec.name} ${v.label}`} min={v.min} max={v.max} step={v.step}
+                            value={Number.isFinite(spec[f]) ? v.toDisplay(spec[f]) : ''}
+                            onChange={(e) => editSpec(i, { [f]: e.target.value.trim() === '' ? NaN : v.fromDisplay(Number(e.target.value)) })} />
+                        );
+                      })}
+                      <button type="button" onClick={() => deleteSpec(i)} disabled={spec.name === substrate || catalog.length === 1} className="text-zinc-500 hover:text-zinc-900 disabled:opacity-30" aria-label={t.deleteItem(spec.name)}><Trash2 className="h-4 w-4" /></button>
+                    </div>
+                    {specError && <div className="mt-1 text-[11px] text-red-700">{specError}</div>}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button type="button" onClick={addSpec} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.addMaterial}</button>
+              <button type="button" onClick={() => catalogInputRef.current?.click()} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.importCsv}</button>
+              <button type="button" onClick={() => updateCatalog(DEFAULT_SUBSTRATES)} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.restoreDefaults}</button>
+              <input ref={catalogInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => importCatalogCSV(e.target.files?.[0])} />
+            </div>
+            <div className="mt-2 text-[11px] text-zinc-500">{t.catalogNote(SPEC_FIELDS.join(', '))}</div>
+          </Panel>
+
+          <Panel title={t.contract}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.years}</div>
+                {/* Links and files may carry any length from 1 to 10 years; show it beside the usual ones. */}
+                <Segmented value={contractYears} onChange={setContractYears} options={[...new Set([3, 4, 5, contractYears])].sort((a, b) => a - b)} />
+              </div>
+              <ParamInput view={display.projection('substrateInflationPercent')} value={substrateInflationPercent} onChange={setSubstrateInflationPercent} error={projectionErrors.substrateInflationPercent} />
+              <ParamInput view={display.projection('haasEscalationPercent')} value={haasEscalationPercent} onChange={setHaasEscalationPercent} error={projectionErrors.haasEscalationPercent} />
+              <ParamInput view={display.projection('discountRatePercent')} value={discountRatePercent} onChange={setDiscountRatePercent} error={projectionErrors.discountRatePercent} />
+              <Field label={fieldLabel(display.projection('rampUpStartPercent'))}>
+                <Slider value={[rampUpStartPercent]} min={PROJECTION_SCHEMA.rampUpStartPercent.min} max={PROJECTION_SCHEMA.rampUpStartPercent.max} step={PROJECTION_SCHEMA.rampUpStartPercent.step} onValueChange={(v) => setRampUpStartPercent(v[0])} />
+                <div className="text-xs text-zinc-500 mt-1">{t.rampUpStartNote(display.pct(rampUpStartPercent))}</div>
+              </Field>
+              <ParamInput view={display.projection('rampUpMonths')} value={rampUpMonths} onChange={setRampUpMonths} error={projectionErrors.rampUpMonths} />
             </div>
           </Panel>
+
+          {valid && (
+            <Panel title={t.sensitivity}>
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-xs text-zinc-500">{t.sensitivityIntro(money0.format(Math.round(r.euroNet)))}</div>
+                <Segmented value={sensitivityRangePercent} onChange={setSensitivityRangePercent} options={[10,20,30,50]} />
+              </div>
+              <div className="mt-4">
+                <Tornado rows={sensitivity} base={r.euroNet} display={display} breakEvenLabel={breakEvenLabel} />
+              </div>
+            </Panel>
+          )}
+
+          {valid && (
+            <Panel title={t.goalSeek}>
+              <div className="text-xs text-zinc-500">{t.goalIntro}</div>
+              <div className="mt-3 inline-flex flex-wrap rounded-full border border-zinc-300 p-0.5 bg-white">
+                {GOAL_OUTPUTS.map((o) => (
+                  <button key={o} type="button" onClick={() => changeGoalOutput(o)}
+                    className={`px-2.5 py-1 text-xs rounded-full ${goalOutput === o ? 'bg-zinc-900 text-white' : 'text-zinc-700 hover:bg-zinc-50'}`}>
+                    {t.goalOutputs[o]}
+                  </button>
+                ))}
+              </div>
+              <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                <ParamInput view={display.goal(goalOutput)} value={goalTarget} onChange={setGoalTarget} error={Number.isFinite(goalTarget) ? undefined : t.required} />
+                <div>
+                  <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.goalInput}</div>
+                  <select value={goalKey} onChange={(e) => setGoalKey(e.target.value as keyof ROIParams)}
+                    className="h-9 w-full rounded-md border border-zinc-300 bg-white px-2 text-sm">
+                    {GOAL_INPUTS.map((key) => <option key={key} value={key}>{fieldLabel(display.field(key))}</option>)}
+                  </select>
+                </div>
+              </div>
+              {goal && (
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <div className={`text-sm ${goal.ok ? 'text-zinc-800' : goal.reason === 'invalid' ? 'text-amber-700' : 'text-red-700'}`}>{goalMessage}</div>
+                  {goal.ok && !goal.anyValue && (
+                    <button type="button" onClick={() => applyGoal(goal.value)} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.goalApply}</button>
+                  )}
+                </div>
+              )}
+            </Panel>
+          )}
+
+          <Panel title={t.actualsTitle}>
+            <div className="text-xs text-zinc-500">{t.actualsIntro}</div>
+            <div className="mt-4 flex flex-wrap items-end gap-2">
+              <div className="min-w-[12rem]">
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.actualsQuote}</div>
+                <select value={actualsQuote && !actualsQuote.fromFile ? actualsQuote.name : ''} onChange={(e) => chooseActualsScenario(e.target.value)}
+                  className="h-9 w-full rounded-md border border-zinc-300 bg-white px-2 text-sm">
+                  <option value="">{actualsQuote?.fromFile ? actualsQuote.name : t.chooseQuote}</option>
+                  {scenarios.map((sc) => <option key={sc.name} value={sc.name}>{sc.name}</option>)}
+                </select>
+              </div>
+              <button type="button" onClick={() => quoteInputRef.current?.click()} className="h-9 text-xs px-3 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.importQuote}</button>
+              <input ref={quoteInputRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => importActualsQuote(e.target.files?.[0])} />
+            </div>
+            <div className="mt-4">
+              {actuals && actualsQuote ? <ActualsTable report={actuals} quote={actualsQuote.params} display={display} />
+                : <div className="text-sm text-zinc-500">{!productionLog.length ? t.noLog : t.noQuote}</div>}
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button type="button" onClick={() => logInputRef.current?.click()} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.importLog}</button>
+              {productionLog.length > 0 && (
+                <button type="button" onClick={() => setProductionLog([])} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.clearLog}</button>
+              )}
+              <input ref={logInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => importProductionCSV(e.target.files?.[0])} />
+            </div>
+            {actuals && <div className="mt-2 text-[11px] text-zinc-500">{t.actualsNote}</div>}
+          </Panel>
+
+          {valid && (
+            <Panel title={t.risk}>
+              <div className="text-xs text-zinc-500">{t.riskIntro}</div>
+              <div className="mt-3 space-y-2">
+                {UNCERTAIN_KEYS.map((key) => {
+                  const v = display.field(key);
+                  return (
+                    <div key={key} className="grid grid-cols-[9rem_repeat(3,minmax(0,1fr))] gap-2 items-start">
+                      <div className="pt-2 text-xs text-zinc-700">{fieldLabel(v)}</div>
+                      {(['min', 'likely', 'max'] as const).map((part) => (
+                        <Input key={part} type="number" aria-label={`${v.label} ${t.distParts[part]}`} placeholder={t.distParts[part]} step={v.step}
+                          value={Number.isFinite(uncertainty[key][part]) ? v.toDisplay(uncertainty[key][part]) : ''}
+                          onChange={(e) => setDist(key, part, e.target.value.trim() === '' ? NaN : v.fromDisplay(Number(e.target.value)))} />
+                      ))}
+                      {distErrors[key] && <div className="col-start-2 col-span-3 text-[11px] text-red-700">{distErrors[key]}</div>}
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="mt-4 flex flex-wrap items-end gap-4">
+                <div>
+                  <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{t.runs}</div>
+                  <Segmented value={mcRuns} onChange={setMcRuns} options={[1000,5000,10000]} />
+                </div>
+                <Field label={t.seed} error={Number.isInteger(mcSeed) ? undefined : t.wholeNumber}>
+                  <Input type="number" step={1} className="w-28" value={Number.isFinite(mcSeed) ? mcSeed : ''} onChange={(e) => setMcSeed(e.target.value.trim() === '' ? NaN : Number(e.target.value))} />
+                </Field>
+                <button type="button" onClick={centreDistsOnInputs} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.likelyFromInputs}</button>
+                <Button onClick={runSimulation} disabled={!mcReady || mcProgress !== null} className="rounded-full">
+                  {mcProgress === null ? t.runSimulation : t.running(display.pct(Math.round((mcProgress / mcRuns) * 100)))}
+                </Button>
+              </div>
+              {mcResult && (
+                <div className="mt-4">
+                  {mcResult.inputs !== mcInputs && <div className="mb-2 text-[11px] text-amber-700">{t.staleRun}</div>}
+                  <MonteCarloSummary result={mcResult.result} display={display} />
+                </div>
+              )}
+            </Panel>
+          )}
+
+          <Panel title={t.scenarios}>
+            <div className="flex gap-2">
+              <Input placeholder={t.scenarioPlaceholder} value={scenarioName} onChange={(e) => setScenarioName(e.target.value)} />
+              <Button onClick={saveScenario} className="rounded-full"><Save className="mr-2 h-4 w-4" />{t.save}</Button>
+            </div>
+            {scenarios.length === 0 ? (
+              <div className="mt-3 text-xs text-zinc-500">{t.noScenarios}</div>
+            ) : (
+              <div className="mt-3 divide-y divide-zinc-100">
+                {scenarios.map((sc) => (
+                  <div key={sc.name} className="flex items-center justify-between py-1.5 text-sm">
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={compared.includes(sc.name)} onChange={() => toggleCompared(sc.name)} disabled={!compared.includes(sc.name) && compared.length >= MAX_COMPARED} />
+                      <span className="text-zinc-800">{sc.name}</span>
+                      <span className="text-[11px] text-zinc-500">{sc.substrate}</span>
+                    </label>
+                    <div className="flex gap-2">
+                      <button type="button" onClick={() => applyState(sc)} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50">{t.load}</button>
+                      <button type="button" onClick={() => deleteScenario(sc.name)} className="text-xs px-2 py-1 rounded-full border border-zinc-300 hover:bg-zinc-50" aria-label={t.deleteItem(sc.name)}><Trash2 className="h-3 w-3" /></button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="mt-2 text-[11px] text-zinc-500">{t.compareNote(MAX_COMPARED)}</div>
+          </Panel>
+
+          <Panel title={t.share}>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="secondary" onClick={copyShareLink} className="rounded-full"><Link2 className="mr-2 h-4 w-4" />{t.copyLink}</Button>
+              <Button variant="secondary" onClick={exportJSON} className="rounded-full"><Download className="mr-2 h-4 w-4" />{t.exportJson}</Button>
+              <Button variant="secondary" onClick={() => fileInputRef.current?.click()} className="rounded-full"><Upload className="mr-2 h-4 w-4" />{t.importJson}</Button>
+              <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => importJSON(e.target.files?.[0])} />
+            </div>
+            <div className="mt-2 text-[11px] text-zinc-500">{t.shareNote}</div>
+          </Panel>
+
+          {comparedScenarios.length >= 2 && (
+            <Panel title={t.comparison}>
+              <ScenarioComparison scenarios={comparedScenarios} display={display} />
+            </Panel>
+          )}
         </div>
 
         {/* Results */}
         <div className="lg:sticky lg:top-24 h-max space-y-6">
-          <Panel title="Results — m²/year">
-            <KPI label="Makeready" value={number0.format(Math.round(r.m2CalagePerYear)) + " m²"} />
-            <KPI label="−3 mm" value={number0.format(Math.round(r.m2ThreeMmPerYear)) + " m²"} />
-            <Separator className="my-2" />
-            <KPI label="Total" value={<span className="font-semibold">{number0.format(Math.round(r.m2CalagePerYear + r.m2ThreeMmPerYear))} m²</span>} />
-          </Panel>
-          <Panel title="Results — €/year">
-            <KPI label="Makeready" value={money0.format(Math.round(r.euroCalage))} />
-            <KPI label="−3 mm" value={money0.format(Math.round(r.euroThreeMm))} />
-            <Separator className="my-2" />
-            <KPI label="Total" value={<span className="font-semibold">{money0.format(Math.round(r.euroTotal))}</span>} />
-            <KPI label="Net vs HaaS" value={<span className={r.euroNet >= 0 ? "text-emerald-700 font-semibold" : "text-red-700 font-semibold"}>{money0.format(Math.round(r.euroNet))}</span>} />
-          </Panel>
+          {mode === 'fleet' && (
+            <Panel title={t.fleetTitle(fleet.rows.length, display.symbol)}>
+              <KPI label={t.savings} value={money0.format(Math.round(fleet.euroTotal))} />
+              <KPI label={t.params.haasPrice} value={money0.format(Math.round(fleet.haasTotal))} />
+              <Separator className="my-2" />
+              <KPI label={t.netVsHaas} value={<span className={fleet.euroNet >= 0 ? "text-emerald-700 font-semibold" : "text-red-700 font-semibold"}>{money0.format(Math.round(fleet.euroNet))}</span>} />
+              <KPI label={t.savedArea(display.areaUnit)} value={display.area(fleet.m2Total)} />
+              <Separator className="my-2" />
+              <KPI label={t.payingPresses} value={t.nOfM(fleet.payingPresses, fleet.rows.length)} />
+              <KPI label={t.netPayingOnly} value={money0.format(Math.round(fleet.netOfPaying))} />
+            </Panel>
+          )}
 
-          {/* Tests */}
-          <TestPanel />
+          {valid ? (
+            <>
+              <Panel title={t.resultsArea(display.areaUnit)}>
+                <KPI label={t.makeready} value={display.area(r.m2CalagePerYear)} />
+                <KPI label={trim} value={display.area(r.m2TrimPerYear)} />
+                <Separator className="my-2" />
+                <KPI label={t.total} value={<span className="font-semibold">{display.area(r.m2CalagePerYear + r.m2TrimPerYear)}</span>} />
+              </Panel>
+              <Panel title={t.resultsMoney(display.symbol)}>
+                <KPI label={t.makeready} value={money0.format(Math.round(r.euroCalage))} />
+                <KPI label={trim} value={money0.format(Math.round(r.euroTrim))} />
+                <KPI label={t.labour} value={money0.format(Math.round(r.euroLabour))} />
+                <KPI label={t.extraCapacity} value={money0.format(Math.round(r.euroCapacity))} />
+                <Separator className="my-2" />
+                <KPI label={t.total} value={<span className="font-semibold">{money0.format(Math.round(r.euroTotal))}</span>} />
+                <KPI label={t.netVsHaas} value={<span className={r.euroNet >= 0 ? "text-emerald-700 font-semibold" : "text-red-700 font-semibold"}>{money0.format(Math.round(r.euroNet))}</span>} />
+              </Panel>
+              {material && impact && (
+                <Panel title={t.impactTitle(substrate)}>
+                  <KPI label={t.makeready} value={kg0(material.kgCalagePerYear)} />
+                  <KPI label={trim} value={kg0(material.kgTrimPerYear)} />
+                  <Separator className="my-2" />
+                  <KPI label={t.filmSaved} value={<span className="font-semibold">{t1(impact.tonnesPerYear)}</span>} />
+                  <KPI label={t.co2eAvoided} value={<span className="font-semibold text-emerald-700">{t1(impact.co2eTonnesPerYear)}</span>} />
+                  <KPI label={t.co2eOver(contractYears)} value={t1(impact.co2eTonnesOverContract)} />
+                  <Separator className="my-2" />
+                  <div className="text-[11px] uppercase tracking-wide text-zinc-500 pb-1">{t.eachYear}</div>
+                  {impact.equivalents.map((eq) => (
+                    <KPI key={eq.key} label={t.equivalents[eq.key][0]} value={<span className="text-zinc-800">{number0.format(Math.round(eq.value))} {t.equivalents[eq.key][1]}</span>} />
+                  ))}
+                </Panel>
+              )}
+              <Panel title={t.resultsYears(contractYears)}>
+                {projectionValid ? (
+                  <>
+                    <div className="grid grid-cols-4 gap-x-2 text-[11px] uppercase tracking-wide text-zinc-500 pb-1">
+                      <div>{t.year}</div><div className="text-right">{t.savings}</div><div className="text-right">{t.net}</div><div className="text-right">{t.cumulative}</div>
+                    </div>
+                    {proj.years.map((yr) => (
+                      <div key={yr.year} className="grid grid-cols-4 gap-x-2 py-1 text-sm">
+                        <div className="text-zinc-600">{yr.year}</div>
+                        <div className="text-right">{money0.format(Math.round(yr.savings))}</div>
+                        <div className="text-right">{money0.format(Math.round(yr.net))}</div>
+                        <div className={`text-right ${yr.cumulativeNet >= 0 ? 'text-emerald-700' : 'text-red-700'}`}>{money0.format(Math.round(yr.cumulativeNet))}</div>
+                      </div>
+                    ))}
+                    <Separator className="my-2" />
+                    <KPI label={t.npvAt(display.pct(discountRatePercent))} value={<span className={proj.npv >= 0 ? "text-emerald-700 font-semibold" : "text-red-700 font-semibold"}>{money0.format(Math.round(proj.npv))}</span>} />
+                    <KPI label={t.irr} value={irrLabel} />
+                    <KPI label={t.payback} value={paybackLabel} />
+                  </>
+                ) : (
+                  <div className="text-sm text-red-700">{invalidText}</div>
+                )}
+              </Panel>
+            </>
+          ) : (
+            <Panel title={t.results}>
+              <div className="text-sm text-red-700">{invalidText}</div>
+            </Panel>
+          )}
         </div>
       </main>
 
       <footer className="border-t border-zinc-200">
         <div className="mx-auto max-w-6xl px-5 py-6 text-[11px] text-zinc-500">
-          Method: m² = width × length. Makeready m² = web × waste/stop × stops avoided × jobs/year. −3 mm m² = 0.003 × printed length. € = m² × substrate price. Net = Total − HaaS.
+          {t.method.label}: {methodParagraphs(t, methodValues, true).map(([, text]) => text).join(' ')}
         </div>
       </footer>
     </div>
   );
 }
 
+// ===== Fleet table =====
+function FleetTable({ fleet, display, onEdit, onUseCurrent, onDelete }: {
+  fleet: FleetResult;
+  display: Display;
+  onEdit: (id: string, patch: { name?: string; params?: Partial<ROIParams> }) => void;
+  onUseCurrent: (id: string) => void;
+  onDelete: (id: string) => void;
+}) {
+  const { t, number0, money0 } = display;
+  if (fleet.rows.length === 0) return <div className="text-xs text-zinc-500">{t.noPresses}</div>;
+  const cols = `minmax(6rem,1.2fr) repeat(${FLEET_COLUMNS.length}, minmax(4.5rem,1fr)) minmax(6rem,1fr) 4.5rem`;
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="min-w-[56rem] text-sm">
+        <div className="grid gap-2 pb-1 text-[10px] uppercase tracking-wide text-zinc-500" style={{ gridTemplateColumns: cols }}>
+          <div>{t.press}</div>
+          {FLEET_COLUMNS.map((key) => <div key={key}>{fieldLabel(display.field(key))}</div>)}
+          <div className="text-right">{t.netPerYear}</div>
+          <div />
+        </div>
+        {fleet.rows.map(({ press, result, errors, paybackMonths }) => {
+          const ok = Object.keys(errors).length === 0;
+          const pays = ok && result.euroNet >= 0;
+          return (
+            <div key={press.id} className={`py-1.5 border-t border-zinc-100 ${pays ? '' : 'bg-red-50/50'}`}>
+              <div className="grid gap-2 items-center" style={{ gridTemplateColumns: cols }}>
+                <Input aria-label={t.pressName} value={press.name} onChange={(e) => onEdit(press.id, { name: e.target.value })} />
+                {FLEET_COLUMNS.map((key) => {
+                  const v = display.field(key);
+                  return (
+                    <Input key={key} type="number" aria-label={`${press.name} ${v.label}`} step={v.step}
+                      value={Number.isFinite(press.params[key]) ? v.toDisplay(press.params[key]) : ''}
+                      className={errors[key] ? 'border-red-400' : undefined} title={errors[key]}
+                      onChange={(e) => onEdit(press.id, { params: { [key]: e.target.value.trim() === '' ? NaN : v.fromDisplay(Number(e.target.value)) } })} />
+                  );
+                })}
+                <div className="text-right">
+                  <div className={ok ? (pays ? 'text-emerald-700 font-semibold' : 'text-red-700 font-semibold') : 'text-zinc-400'}>{ok ? money0.format(Math.round(result.euroNet)) : '—'}</div>
+                  <div className="text-[10px] text-zinc-500">{!ok ? t.invalidInputs : paybackMonths === null ? t.noSavings : t.paybackMonths(number0.format(Math.ceil(paybackMonths)))}</div>
+                </div>
+                <div className="flex justify-end gap-1">
+                  <button type="button" onClick={() => onUseCurrent(press.id)} className="text-zinc-500 hover:text-zinc-900" aria-label={t.useCurrentFor(press.name)} title={t.useCurrent}><RefreshCcw className="h-4 w-4" /></button>
+                  <button type="button" onClick={() => onDelete(press.id)} className="text-zinc-500 hover:text-zinc-900" aria-label={t.deleteItem(press.name)}><Trash2 className="h-4 w-4" /></button>
+                </div>
+              </div>
+              {!ok && <div className="mt-1 text-[11px] text-red-700">{Object.entries(errors).map(([k, e]) => `${t.params[k as keyof ROIParams]}: ${e}`).join(' · ')}</div>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ===== Tornado chart =====
+function Tornado({ rows, base, display, breakEvenLabel }: { rows: SensitivityRow[]; base: number; display: Display; breakEvenLabel: (row: SensitivityRow) => string }) {
+  const { t, money0 } = display;
+  const maxDev = Math.max(1, ...rows.map((s) => Math.max(Math.abs(s.netLow - base), Math.abs(s.netHigh - base))));
+  const bar = (net: number) => {
+    const pct = (Math.abs(net - base) / maxDev) * 50;
+    const side = net >= base ? { left: '50%' } : { right: '50%' };
+    return <div className={`absolute top-0 h-full ${net >= base ? 'bg-emerald-600' : 'bg-red-600'}`} style={{ ...side, width: `${pct}%` }} />;
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="grid grid-cols-[8rem_1fr_7rem] gap-x-3 pb-1 text-[11px] uppercase tracking-wide text-zinc-500">
+        <div>{t.driver}</div><div className="text-center">{t.netVsHaas}</div><div className="text-right">{t.breakEven}</div>
+      </div>
+      {rows.map((s) => (
+        <div key={s.key} className="grid grid-cols-[8rem_1fr_7rem] gap-x-3 items-center py-1">
+          <div className="text-zinc-600 truncate" title={`${display.param(s.key, s.low)} → ${display.param(s.key, s.high)}`}>{t.params[s.key]}</div>
+          <div>
+            <div className="relative h-3">
+              <div className="absolute left-1/2 top-[-2px] bottom-[-2px] w-px bg-zinc-400" />
+              {bar(s.netLow)}
+              {bar(s.netHigh)}
+            </div>
+            <div className="flex justify-between text-[10px] text-zinc-500 mt-0.5">
+              <span>{money0.format(Math.round(Math.min(s.netLow, s.netHigh)))}</span>
+              <span>{money0.format(Math.round(Math.max(s.netLow, s.netHigh)))}</span>
+            </div>
+          </div>
+          <div className="text-right text-xs text-zinc-700">{breakEvenLabel(s)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ===== Monte Carlo summary =====
+function MonteCarloSummary({ result, display }: { result: MonteCarloResult; display: Display }) {
+  const { t, number0, money0 } = display;
+  const peak = Math.max(1, ...result.histogram.map((b) => b.count));
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <BigStat label="P10" value={<span className="text-xl md:text-2xl">{money0.format(Math.round(result.p10))}</span>} />
+        <BigStat label="P50" value={<span className="text-xl md:text-2xl">{money0.format(Math.round(result.p50))}</span>} />
+        <BigStat label="P90" value={<span className="text-xl md:text-2xl">{money0.format(Math.round(result.p90))}</span>} />
+        <BigStat label={t.beatsHaas} value={<span className="text-xl md:text-2xl">{display.pct(Number((result.probBeatHaas * 100).toFixed(1)))}</span>} />
+      </div>
+      <div className="mt-4 flex items-end gap-px h-24" aria-label={t.distribution}>
+        {result.histogram.map((b, i) => (
+          <div key={i} className={`flex-1 ${b.to <= 0 ? 'bg-red-300' : 'bg-zinc-800'}`} style={{ height: `${(b.count / peak) * 100}%` }}
+            title={t.binRuns(money0.format(Math.round(b.from)), money0.format(Math.round(b.to)), number0.format(b.count))} />
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-[10px] text-zinc-500">
+        <span>{money0.format(Math.round(result.histogram[0]?.from ?? 0))}</span>
+        <span>{t.mcCaption(number0.format(result.runs), result.seed, money0.format(Math.round(result.mean)))}</span>
+        <span>{money0.format(Math.round(result.histogram[result.histogram.length - 1]?.to ?? 0))}</span>
+      </div>
+    </div>
+  );
+}
+
+// ===== Scenario comparison =====
+// Labels come from Messages.kpis; money rows add the currency symbol.
+const COMPARED_KPIS: Array<{ key: keyof ROIResult; unit: 'money' | 'm2' | 'count' }> = [
+  { key: 'jobsPerYear', unit: 'count' },
+  { key: 'm2CalagePerYear', unit: 'm2' },
+  { key: 'm2TrimPerYear', unit: 'm2' },
+  { key: 'euroCalage', unit: 'money' },
+  { key: 'euroTrim', unit: 'money' },
+  { key: 'hoursFreedPerYear', unit: 'count' },
+  { key: 'euroLabour', unit: 'money' },
+  { key: 'euroCapacity', unit: 'money' },
+  { key: 'euroTotal', unit: 'money' },
+  { key: 'euroNet', unit: 'money' },
+];
+
+function ScenarioComparison({ scenarios, display }: { scenarios: Scenario[]; display: Display }) {
+  const { t, number0, money0 } = display;
+  const results = scenarios.map((sc) => computeROI(sc.params));
+  const fmt = (v: number, unit: 'money' | 'm2' | 'count') => {
+    if (unit === 'm2') return display.area(v);
+    const n = Math.round(v);
+    return unit === 'money' ? money0.format(n) : number0.format(n);
+  };
+  const cols = `minmax(7rem,1fr) repeat(${scenarios.length}, minmax(0,1fr))`;
+
+  return (
+    <div className="overflow-x-auto text-sm">
+      <div className="grid gap-x-3 pb-1 text-[11px] uppercase tracking-wide text-zinc-500" style={{ gridTemplateColumns: cols }}>
+        <div>{t.kpi}</div>
+        {scenarios.map((sc) => <div key={sc.name} className="text-right truncate">{sc.name}</div>)}
+      </div>
+      {COMPARED_KPIS.map((k) => (
+        <div key={k.key} className="grid gap-x-3 py-1.5 border-t border-zinc-100" style={{ gridTemplateColumns: cols }}>
+          <div className="text-zinc-600">{k.unit === 'count' ? t.kpis[k.key] : `${t.kpis[k.key]} (${k.unit === 'money' ? display.symbol : display.areaUnit})`}</div>
+          {results.map((res, i) => {
+            const delta = res[k.key] - results[0][k.key];
+            return (
+              <div key={scenarios[i].name} className="text-right">
+                <div>{fmt(res[k.key], k.unit)}</div>
+                {i > 0 && (
+                  <div className={`text-[11px] ${delta >= 0 ? 'text-emerald-700' : 'text-red-700'}`}>
+                    {delta >= 0 ? '+' : '−'}{fmt(Math.abs(delta), k.unit)}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ===== Actual vs predicted =====
+/** Quote, then each month of the log, then the whole log; measured cells show their gap to the quote. */
+function ActualsTable({ report, quote, display }: { report: ActualsReport; quote: ROIParams; display: Display }) {
+  const { t, money0 } = display;
+  const cols = 'minmax(7rem,1.2fr) repeat(7,minmax(5rem,1fr))';
+  const gap = (actual: number, predicted: number) => {
+    if (!Number.isFinite(actual) || predicted === 0) return '';
+    const d = Math.round((actual / predicted - 1) * 1000) / 10;
+    return `${d >= 0 ? '+' : '−'}${display.pct(Math.abs(d))}`;
+  };
+  const money = (actual: number, predicted: number) => (
+    <div>
+      <div>{money0.format(Math.round(actual))}</div>
+      <div className={`text-[11px] ${actual >= predicted ? 'text-emerald-700' : 'text-red-700'}`}>{gap(actual, predicted)}</div>
+    </div>
+  );
+  const measured = (text: string, actual: number, predicted: number) => (
+    <div>
+      <div>{text}</div>
+      <div className="text-[11px] text-zinc-500">{gap(actual, predicted)}</div>
+    </div>
+  );
+  const line = (label: string, p: ActualsPeriod) => {
+    const m = p.measures;
+    return (
+      <div key={label} className="grid gap-x-3 py-1.5 border-t border-zinc-100 min-w-[44rem]" style={{ gridTemplateColumns: cols }}>
+        <div className="text-zinc-600">{label}</div>
+        {measured(display.num(m.jobsPerShift, 1), m.jobsPerShift, quote.jobsPerShift)}
+        {measured(display.num(m.stopsPerJob), m.stopsPerJob, report.predictedStopsPerJob)}
+        {measured(Number.isFinite(m.wastePerStopM) ? display.param('wastePerStopM', m.wastePerStopM) : '—', m.wastePerStopM, quote.wastePerStopM)}
+        {measured(Number.isFinite(m.speedMPerMin) ? display.param('speedMPerMin', m.speedMPerMin) : '—', m.speedMPerMin, quote.speedMPerMin)}
+        {measured(Number.isFinite(m.uptimePercent) ? display.pct(Math.round(m.uptimePercent * 10) / 10) : '—', m.uptimePercent, quote.uptimePercent)}
+        {money(p.result.euroTotal, report.predicted.euroTotal)}
+        {money(p.result.euroNet, report.predicted.euroNet)}
+      </div>
+    );
+  };
+  const monthLabel = (month: string) => new Date(`${month}-01T00:00:00`).toLocaleDateString(display.dateLocale, { month: 'short', year: 'numeric' });
+
+  return (
+    <div className="overflow-x-auto text-sm">
+      <div className="grid gap-x-3 pb-1 text-[10px] uppercase tracking-wide text-zinc-500 min-w-[44rem]" style={{ gridTemplateColumns: cols }}>
+        <div>{t.month}</div>
+        <div>{t.params.jobsPerShift}</div>
+        <div>{t.stopsWithDeltaOne}</div>
+        <div>{t.params.wastePerStopM}</div>
+        <div>{t.params.speedMPerMin}</div>
+        <div>{t.params.uptimePercent}</div>
+        <div>{t.pdf.savingsPerYear}</div>
+        <div>{t.netPerYear}</div>
+      </div>
+      <div className="grid gap-x-3 py-1.5 border-t border-zinc-100 font-medium min-w-[44rem]" style={{ gridTemplateColumns: cols }}>
+        <div>{t.quoted}</div>
+        <div>{display.num(quote.jobsPerShift, 1)}</div>
+        <div>{display.num(report.predictedStopsPerJob)}</div>
+        <div>{display.param('wastePerStopM', quote.wastePerStopM)}</div>
+        <div>{display.param('speedMPerMin', quote.speedMPerMin)}</div>
+        <div>{display.pct(quote.uptimePercent)}</div>
+        <div>{money0.format(Math.round(report.predicted.euroTotal))}</div>
+        <div>{money0.format(Math.round(report.predicted.euroNet))}</div>
+      </div>
+      {report.months.map((p) => line(monthLabel(p.month), p))}
+      <div className="font-semibold">{line(t.wholeLog(report.overall.measures.jobs, report.overall.measures.days), report.overall)}</div>
+    </div>
+  );
+}
+
 // ===== Helpers for PDF =====
 function row(doc: any, x: number, y: number, key: string, value: string) {
   doc.text(key, x, y);
@@ -362,8 +2107,116 @@ function row(doc: any, x: number, y: number, key: string, value: string) {
   doc.text(value, valX, y);
 }
 
+/** Accent-coloured page heading; returns the y for the content below. */
+function pageTitle(doc: any, x: number, y: number, title: string, accent: [number, number, number]) {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.setTextColor(...accent);
+  doc.text(title, x, y);
+  doc.setTextColor(0);
+  doc.setFont('helvetica', 'normal');
+  return y + 20;
+}
+
+/** Horizontal bars from a shared zero line (negative values go left); returns the y below. */
+function drawBars(doc: any, x: number, y: number, bars: Array<{ label: string; value: number }>, fmt: (v: number) => string, accent: [number, number, number]) {
+  const labelW = 110;
+  const chartW = 480 - labelW - 70; // room for the value label
+  const lo = Math.min(0, ...bars.map((b) => b.value));
+  const hi = Math.max(0, ...bars.map((b) => b.value));
+  const scale = chartW / Math.max(1, hi - lo);
+  const zeroX = x + labelW - lo * scale;
+  const barH = 14;
+
+  doc.setFontSize(9);
+  bars.forEach((b) => {
+    doc.setTextColor(60);
+    doc.text(b.label, x, y + 10);
+    const w = b.value * scale;
+    if (b.value < 0) doc.setFillColor(185, 28, 28); else doc.setFillColor(...accent);
+    doc.rect(Math.min(zeroX, zeroX + w), y, Math.max(Math.abs(w), 0.5), barH, 'F');
+    doc.setTextColor(90);
+    doc.text(fmt(b.value), zeroX + Math.max(0, w) + 4, y + 10);
+    y += barH + 6;
+  });
+  doc.setDrawColor(120);
+  doc.line(zeroX, y - bars.length * (barH + 6) - 4, zeroX, y);
+  doc.setTextColor(0);
+  doc.setFontSize(10);
+  return y + 4;
+}
+
+/** Contact line and page numbers on every page after the cover. */
+function drawFooters(doc: any, template: ProposalTemplate, details: ProposalDetails, quoteLabel: string) {
+  const pages = doc.getNumberOfPages();
+  const ref = [details.customerName, details.quoteNumber && `${quoteLabel} ${details.quoteNumber}`].filter(Boolean).join(' • ');
+  for (let i = 2; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(130);
+    doc.setDrawColor(220);
+    doc.line(56, 806, 539, 806);
+    doc.text(template.contactLine, 56, 818);
+    if (ref) doc.text(ref, 297, 818, { align: 'center' });
+    doc.text(`${i} / ${pages}`, 539, 818, { align: 'right' });
+  }
+  doc.setTextColor(0);
+}
+
+function hexToRgb(hex: string): [number, number, number] {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/** Draws the tornado chart and returns the y below it. */
+function drawTornado(doc: any, x: number, y: number, rows: SensitivityRow[], base: number, fmt: (v: number) => string, label: (key: keyof ROIParams) => string) {
+  const labelW = 120;
+  const chartW = 500 - labelW;
+  const centerX = x + labelW + chartW / 2;
+  const maxDev = Math.max(1, ...rows.map((s) => Math.max(Math.abs(s.netLow - base), Math.abs(s.netHigh - base))));
+  const scale = (chartW / 2 - 50) / maxDev;
+  const barH = 12;
+
+  doc.setFontSize(9);
+  rows.forEach((s) => {
+    doc.setTextColor(60);
+    doc.text(label(s.key), x, y + 9);
+    [s.netLow, s.netHigh].forEach((net) => {
+      const w = (net - base) * scale;
+      if (net >= base) doc.setFillColor(4, 120, 87); else doc.setFillColor(185, 28, 28);
+      doc.rect(Math.min(centerX, centerX + w), y, Math.max(Math.abs(w), 0.5), barH, 'F');
+    });
+    doc.setTextColor(110);
+    const left = Math.min(s.netLow, s.netHigh);
+    const right = Math.max(s.netLow, s.netHigh);
+    doc.text(fmt(left), centerX + Math.min(0, (left - base) * scale) - 4, y + 9, { align: 'right' });
+    doc.text(fmt(right), centerX + Math.max(0, (right - base) * scale) + 4, y + 9);
+    y += barH + 6;
+  });
+  doc.setDrawColor(120);
+  doc.line(centerX, y - rows.length * (barH + 6) - 4, centerX, y);
+  doc.setTextColor(0);
+  doc.setFontSize(10);
+  return y + 4;
+}
+
 function splitText(doc: any, text: string, maxWidth: number) {
-  return doc.splitTextToSize(text, maxWidth);
+  return doc.splitTextToSize(pdfSafe(text), maxWidth);
+}
+
+// The standard PDF fonts only cover Latin-1 plus a few symbols: French and Swiss number
+// grouping uses narrow no-break spaces, and some labels use signs the fonts lack.
+const PDF_REPLACEMENTS: Array<[RegExp, string]> = [[/[\u202f\u00a0]/g, ' '], [/\u2212/g, '-'], [/→/g, '->'], [/₂/g, '2'], [/≤/g, '<=']];
+
+function pdfSafe(text: string) {
+  return PDF_REPLACEMENTS.reduce((s, [from, to]) => s.replace(from, to), text);
+}
+
+/** Routes every doc.text call through pdfSafe. */
+function withSafeText(doc: any) {
+  const text = doc.text.bind(doc);
+  doc.text = (s: string | string[], ...rest: unknown[]) => text(Array.isArray(s) ? s.map(pdfSafe) : pdfSafe(s), ...rest);
+  return doc;
 }
 
 // ===== UI atoms =====
@@ -378,15 +2231,34 @@ function Panel({ title, children }: { title: string; children: React.ReactNode }
   );
 }
 
-function Field({ label, children }: { label: string; children: React.ReactNode }) {
+function Field({ label, error, children }: { label: string; error?: string; children: React.ReactNode }) {
   return (
     <label className="block">
       <div className="text-[10px] uppercase tracking-wide text-zinc-500 mb-1">{label}</div>
       {children}
+      {error && <div className="mt-1 text-[11px] text-red-700">{error}</div>}
     </label>
   );
 }
 
+/** Number input for one ROIParams field, shown in display units. An empty field reports NaN instead of 0. */
+function ParamInput({ view, value, onChange, error }: { view: FieldView; value: number; onChange: (v: number) => void; error?: string }) {
+  return (
+    <Field label={fieldLabel(view)} error={error}>
+      <Input
+        type="number"
+        min={view.min}
+        max={view.max}
+        step={view.step}
+        value={Number.isFinite(value) ? view.toDisplay(value) : ''}
+        aria-invalid={!!error}
+        className={error ? 'border-red-400' : undefined}
+        onChange={(e) => onChange(e.target.value.trim() === '' ? NaN : view.fromDisplay(Number(e.target.value)))}
+      />
+    </Field>
+  );
+}
+
 function KPI({ label, value }: { label: string; value: React.ReactNode }) {
   return (
     <div className="flex items-center justify-between py-1.5 text-sm">
@@ -422,51 +2294,3 @@ function BigStat({ label, value, smallNote }: { label: string; value: React.Reac
     </div>
   );
 }
-
-// ===== Test panel =====
-function approxEqual(actual: number, expected: number, tolerancePct = 0.001) {
-  const tol = Math.abs(expected) * tolerancePct;
-  return Math.abs(actual - expected) <= tol;
-}
-
-function TestPanel() {
-  const baselineParams: ROIParams = {
-    webWidth: 0.33,
-    jobsPerShift: 6,
-    shiftsPerDay: 2,
-    daysPerYear: 250,
-    stopsPerJobBaseline: 6,
-    reductionPercent: 50,
-    wastePerStopM: 100,
-    speedMPerMin: 165,
-    uptimePercent: 60,
-    hoursPerShift: 8,
-    substratePrice: 0.6,
-    haasPrice: 20000,
-  };
-  const b = computeROI(baselineParams);
-
-  const expected = {
-    m2CalagePerYear: 0.33 * 100 * (6*0.5) * (6*2*250), // 33 * 3 * 3000 = 297,000 m² after integer stops change
-    m2ThreeMmPerYear: 0.003 * (165 * 0.6 * (8*60*2) * 250), // unchanged
-  };
-
-  const tests = [
-    { name: "Calage m²/year", pass: approxEqual(b.m2CalagePerYear, expected.m2CalagePerYear) },
-    { name: "−3 mm m²/year", pass: approxEqual(b.m2ThreeMmPerYear, expected.m2ThreeMmPerYear) },
-  ];
-
-  return (
-    <div className="rounded-xl border border-zinc-200 bg-white p-4">
-      <div className="text-xs uppercase tracking-wide text-zinc-500 mb-2">Self‑tests</div>
-      <div className="grid grid-cols-2 gap-y-1 text-sm">
-        {tests.map((t) => (
-          <div key={t.name} className="flex items-center justify-between">
-            <span className="text-zinc-700">{t.name}</span>
-            <span className={t.pass ? "text-emerald-700" : "text-red-700"}>{t.pass ? "PASS" : "FAIL"}</span>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
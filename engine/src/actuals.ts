@@ -0,0 +1,148 @@
+/**
+ * Actual vs predicted: measures a press's production log after installation and reruns
+ * computeROI on what was measured, month by month and overall.
+ */
+
+import { computeROI } from './roi.ts';
+import type { ROIParams, ROIResult } from './roi.ts';
+import { csvNumber, readCSV } from './csv.ts';
+import { EN_MESSAGES } from './constraints.ts';
+import type { ValidationMessages } from './constraints.ts';
+
+/** One job from the press log. */
+export interface ProductionJob {
+  date: string; // YYYY-MM-DD
+  lengthM: number; // m printed
+  stops: number; // stops that happened, with DeltaOne fitted
+  wasteM: number; // m wasted on those stops
+  runMinutes: number; // press running time; NaN when the log does not record it
+}
+
+export const PRODUCTION_COLUMNS = ['date', 'lengthM', 'stops', 'wasteM'] as const;
+
+/** What the log shows, in the units of the matching ROIParams fields. */
+export interface ActualMeasures {
+  jobs: number;
+  days: number; // days with at least one job
+  jobsPerShift: number;
+  stopsPerJob: number;
+  wastePerStopM: number; // NaN when no stop was logged
+  speedMPerMin: number; // NaN without run times
+  uptimePercent: number; // NaN when the speed is 0
+}
+
+export interface ActualsPeriod {
+  month: string; // YYYY-MM, or '' for the whole log
+  measures: ActualMeasures;
+  params: ROIParams; // the quote with the measured values
+  result: ROIResult; // realised, per year
+}
+
+export interface ActualsReport {
+  predicted: ROIResult;
+  predictedStopsPerJob: number; // stops the quote expects once DeltaOne cuts them
+  overall: ActualsPeriod;
+  months: ActualsPeriod[]; // oldest first
+}
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function validDate(s: string) {
+  const d = new Date(`${s}T00:00:00Z`);
+  return DATE.test(s) && !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+/** One job per row: `date`, `lengthM`, `stops`, `wasteM`, and optionally `runMinutes`. */
+export function parseProductionCSV(text: string, m: ValidationMessages = EN_MESSAGES): { jobs: ProductionJob[]; errors: string[] } {
+  const { header, rows, decimalComma } = readCSV(text);
+  if (header.length === 0) return { jobs: [], errors: [m.fileEmpty] };
+  const missing = PRODUCTION_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length) return { jobs: [], errors: [m.missingColumns(missing)] };
+  const timed = header.includes('runMinutes');
+
+  const jobs: ProductionJob[] = [];
+  const errors: string[] = [];
+  rows.forEach(({ line, cell }) => {
+    const num = (c: string) => csvNumber(cell(c), decimalComma);
+    const job: ProductionJob = {
+      date: cell('date'),
+      lengthM: num('lengthM'),
+      stops: num('stops'),
+      wasteM: num('wasteM'),
+      runMinutes: timed ? num('runMinutes') : NaN,
+    };
+    const problems = [
+      ...(validDate(job.date) ? [] : [m.logDate(job.date)]),
+      ...(Number.isFinite(job.lengthM) && job.lengthM >= 0 ? [] : [m.logNegative('lengthM')]),
+      ...(Number.isInteger(job.stops) && job.stops >= 0 ? [] : [m.logStops]),
+      ...(Number.isFinite(job.wasteM) && job.wasteM >= 0 ? [] : [m.logNegative('wasteM')]),
+      ...(!timed || (Number.isFinite(job.runMinutes) && job.runMinutes > 0) ? [] : [m.logRunMinutes]),
+    ];
+    if (problems.length) errors.push(m.csvLine(line, problems));
+    else jobs.push(job);
+  });
+  return { jobs, errors };
+}
+
+/**
+ * Shifts come from the quote (days worked × shifts/day × hours/shift). Without run times the
+ * quoted speed is kept and the log only tells uptime: printed length ÷ (speed × shift time).
+ */
+export function measureActuals(jobs: ProductionJob[], quote: ROIParams): ActualMeasures {
+  const sum = (f: (job: ProductionJob) => number) => jobs.reduce((acc, job) => acc + f(job), 0);
+  const days = new Set(jobs.map((job) => job.date)).size;
+  const stops = sum((job) => job.stops);
+  const length = sum((job) => job.lengthM);
+  const runMinutes = sum((job) => job.runMinutes);
+  const shiftMinutes = days * quote.shiftsPerDay * quote.hoursPerShift * 60;
+  const speedMPerMin = Number.isFinite(runMinutes) && runMinutes > 0 ? length / runMinutes : NaN;
+  const speed = Number.isFinite(speedMPerMin) ? speedMPerMin : quote.speedMPerMin;
+  return {
+    jobs: jobs.length,
+    days,
+    jobsPerShift: jobs.length / (days * quote.shiftsPerDay),
+    stopsPerJob: stops / jobs.length,
+    wastePerStopM: stops > 0 ? sum((job) => job.wasteM) / stops : NaN,
+    speedMPerMin,
+    uptimePercent: speed > 0 ? (length / (speed * shiftMinutes)) * 100 : NaN,
+  };
+}
+
+/**
+ * The quote with what was measured. Logged stops are the ones DeltaOne did not remove, so
+ * they set the realised reduction against the quoted baseline (0–100 %). Values the log
+ * cannot tell (no stops, no run times) keep the quote's.
+ */
+export function realisedParams(quote: ROIParams, a: ActualMeasures): ROIParams {
+  const reduction = quote.stopsPerJobBaseline > 0 ? (1 - a.stopsPerJob / quote.stopsPerJobBaseline) * 100 : quote.reductionPercent;
+  return {
+    ...quote,
+    jobsPerShift: a.jobsPerShift,
+    reductionPercent: Math.min(100, Math.max(0, reduction)),
+    wastePerStopM: Number.isFinite(a.wastePerStopM) ? a.wastePerStopM : quote.wastePerStopM,
+    speedMPerMin: Number.isFinite(a.speedMPerMin) ? a.speedMPerMin : quote.speedMPerMin,
+    uptimePercent: Number.isFinite(a.uptimePercent) ? Math.min(100, a.uptimePercent) : quote.uptimePercent,
+  };
+}
+
+function period(month: string, jobs: ProductionJob[], quote: ROIParams): ActualsPeriod {
+  const measures = measureActuals(jobs, quote);
+  const params = realisedParams(quote, measures);
+  return { month, measures, params, result: computeROI(params) };
+}
+
+/** Returns null for an empty log. Realised results are per year, like the quote's. */
+export function compareActuals(jobs: ProductionJob[], quote: ROIParams): ActualsReport | null {
+  if (jobs.length === 0) return null;
+  const byMonth = new Map<string, ProductionJob[]>();
+  [...jobs].sort((a, b) => a.date.localeCompare(b.date)).forEach((job) => {
+    const month = job.date.slice(0, 7);
+    byMonth.set(month, [...(byMonth.get(month) ?? []), job]);
+  });
+  return {
+    predicted: computeROI(quote),
+    predictedStopsPerJob: (quote.stopsPerJobBaseline * (100 - quote.reductionPercent)) / 100,
+    overall: period('', jobs, quote),
+    months: [...byMonth].map(([month, list]) => period(month, list, quote)),
+  };
+}
@@ -0,0 +1,124 @@
+/** Batch evaluation of customer records, as used by the CLI and server-side quoting. */
+
+import { DEFAULT_PARAMS, computeROI } from './roi.ts';
+import type { ROIParams, ROIResult, Substrate } from './roi.ts';
+import { PARAM_KEYS } from './constraints.ts';
+import { STATE_VERSION, isSupportedVersion, migrateParams, validateInputs } from './state.ts';
+import { readCSV, writeCSV } from './csv.ts';
+
+export interface CustomerRecord {
+  customer: string;
+  source: string; // e.g. "line 4" or "item 2", for error messages
+  version: number;
+  substrate: unknown;
+  params: { [k: string]: unknown };
+  errors: string[]; // problems found while reading, before validation
+}
+
+export type CustomerResult =
+  | { customer: string; ok: true; substrate: Substrate; params: ROIParams; result: ROIResult }
+  | { customer: string; ok: false; errors: string[] };
+
+const RESULT_KEYS: Array<keyof ROIResult> = [
+  'jobsPerDay',
+  'jobsPerYear',
+  'm2PerStop',
+  'm2CalagePerYear',
+  'printedLengthPerYear',
+  'm2TrimPerYear',
+  'hoursFreedPerYear',
+  'extraJobsPerYear',
+  'euroCalage',
+  'euroTrim',
+  'euroLabour',
+  'euroCapacity',
+  'euroTotal',
+  'euroNet',
+];
+
+const DEFAULT_SUBSTRATE = 'PETG';
+
+function unknownKeys(keys: string[], allowed: string[]) {
+  return keys.filter((k) => !allowed.includes(k)).map((k) => `unknown field "${k}"`);
+}
+
+/**
+ * Reads one object or an array of objects shaped like the calculator's JSON export:
+ * `{ version?, customer?, substrate?, params: { ...ROIParams }, pricing?, contractYears? }`.
+ * The pricing model and contract are not read: params.haasPrice already carries their yearly figure.
+ */
+export function readCustomersJSON(text: string): CustomerRecord[] {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Input is not valid JSON');
+  }
+  const items: any[] = Array.isArray(data) ? data : [data];
+  return items.map((item, i) => {
+    const source = `item ${i + 1}`;
+    if (!item || typeof item !== 'object' || !item.params || typeof item.params !== 'object') {
+      return { customer: '', source, version: STATE_VERSION, substrate: undefined, params: {}, errors: ['params is missing'] };
+    }
+    const version = item.version ?? STATE_VERSION;
+    return {
+      customer: typeof item.customer === 'string' ? item.customer : '',
+      source,
+      version: isSupportedVersion(version) ? version : STATE_VERSION,
+      substrate: item.substrate ?? DEFAULT_SUBSTRATE,
+      params: item.params,
+      errors: [
+        ...(isSupportedVersion(version) ? [] : [`unsupported version "${String(version)}"`]),
+        ...unknownKeys(Object.keys(item), ['version', 'customer', 'substrate', 'params', 'pricing', 'contractYears']),
+        ...unknownKeys(Object.keys(item.params), PARAM_KEYS),
+      ],
+    };
+  });
+}
+
+/** One customer per row; columns are `customer`, `substrate` and any ROIParams field names. */
+export function readCustomersCSV(text: string): CustomerRecord[] {
+  const { header, rows, decimalComma } = readCSV(text);
+  if (header.length === 0) throw new Error('Input CSV is empty');
+  const headerErrors = unknownKeys(header, ['customer', 'substrate', ...PARAM_KEYS]);
+
+  return rows.map(({ line, cell }) => {
+    const params: { [k: string]: unknown } = {};
+    PARAM_KEYS.forEach((key) => {
+      if (!header.includes(key)) return;
+      params[key] = decimalComma ? cell(key).replace(',', '.') : cell(key);
+    });
+    return {
+      customer: cell('customer'),
+      source: `line ${line}`,
+      version: STATE_VERSION,
+      substrate: cell('substrate') || DEFAULT_SUBSTRATE,
+      params,
+      errors: headerErrors,
+    };
+  });
+}
+
+/** Fields a record leaves out take DEFAULT_PARAMS; every value is then validated. */
+export function evaluateCustomers(records: CustomerRecord[]): CustomerResult[] {
+  return records.map((rec) => {
+    const customer = rec.customer || rec.source;
+    if (rec.errors.length) return { customer, ok: false, errors: rec.errors.map((e) => `${rec.source}: ${e}`) };
+    const decoded = validateInputs({ ...DEFAULT_PARAMS, ...migrateParams(rec.params, rec.version) }, rec.substrate);
+    if (!decoded.ok) return { customer, ok: false, errors: decoded.errors.map((e) => `${rec.source}: ${e}`) };
+    const { params, substrate } = decoded;
+    return { customer, ok: true, substrate, params, result: computeROI(params) };
+  });
+}
+
+export function formatResultsJSON(results: CustomerResult[]): string {
+  return JSON.stringify(results, null, 2) + '\n';
+}
+
+export function formatResultsCSV(results: CustomerResult[]): string {
+  const header = ['customer', 'ok', 'substrate', ...PARAM_KEYS, ...RESULT_KEYS, 'errors'];
+  const rows = results.map((res) => (res.ok
+    ? [res.customer, 'true', res.substrate, ...PARAM_KEYS.map((k) => res.params[k]), ...RESULT_KEYS.map((k) => res.result[k]), '']
+    : [res.customer, 'false', '', ...PARAM_KEYS.map(() => ''), ...RESULT_KEYS.map(() => ''), res.errors.join('; ')]));
+  return writeCSV(header, rows);
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env -S node --experimental-strip-types --disable-warning=ExperimentalWarning
+/**
+ * deltaone-roi: evaluate customer inputs from a JSON or CSV file.
+ *
+ *   deltaone-roi customers.csv --format csv --out results.csv
+ *   cat quote.json | deltaone-roi - --format json
+ *
+ * Exit codes: 0 all records valid, 1 some records rejected, 2 usage, read or write error.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import {
+  evaluateCustomers,
+  formatResultsCSV,
+  formatResultsJSON,
+  readCustomersCSV,
+  readCustomersJSON,
+} from './batch.ts';
+
+const USAGE = `Usage: deltaone-roi <input.json|input.csv|-> [--input-format json|csv] [--format json|csv] [--out <file>]
+
+Input is one object or an array shaped like the calculator's JSON export
+({ version, customer, substrate, params }), or a CSV with a header row of
+customer, substrate and ROIParams field names. Fields left out take the
+calculator defaults. Reads stdin when the input is "-".`;
+
+interface Options {
+  input: string;
+  inputFormat: 'json' | 'csv';
+  format: 'json' | 'csv';
+  out?: string;
+}
+
+function parseArgs(argv: string[]): Options {
+  let input: string | undefined;
+  let inputFormat: string | undefined;
+  let format = 'json';
+  let out: string | undefined;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') format = argv[++i];
+    else if (arg === '--input-format') inputFormat = argv[++i];
+    else if (arg === '--out') out = argv[++i];
+    else if (arg === '-h' || arg === '--help') throw new Error(USAGE);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}\n\n${USAGE}`);
+    else if (input === undefined) input = arg;
+    else throw new Error(`Unexpected argument ${arg}\n\n${USAGE}`);
+  }
+  if (input === undefined) throw new Error(USAGE);
+  inputFormat ??= extname(input).toLowerCase() === '.csv' ? 'csv' : 'json';
+  if (inputFormat !== 'json' && inputFormat !== 'csv') throw new Error(`--input-format must be json or csv`);
+  if (format !== 'json' && format !== 'csv') throw new Error(`--format must be json or csv`);
+  if (out === '') throw new Error('--out needs a file name');
+  return { input, inputFormat, format, out };
+}
+
+function main(argv: string[]): number {
+  let opts: Options;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    process.stderr.write(`${(e as Error).message}\n`);
+    return 2;
+  }
+
+  let records;
+  try {
+    const text = readFileSync(opts.input === '-' ? 0 : opts.input, 'utf8');
+    records = opts.inputFormat === 'csv' ? readCustomersCSV(text) : readCustomersJSON(text);
+  } catch (e) {
+    process.stderr.write(`${(e as Error).message}\n`);
+    return 2;
+  }
+
+  const results = evaluateCustomers(records);
+  const output = opts.format === 'csv' ? formatResultsCSV(results) : formatResultsJSON(results);
+  if (opts.out) {
+    try {
+      writeFileSync(opts.out, output);
+    } catch (e) {
+      process.stderr.write(`${(e as Error).message}\n`);
+      return 2;
+    }
+  } else {
+    process.stdout.write(output);
+  }
+
+  const rejected = results.filter((res) => !res.ok);
+  rejected.forEach((res) => { if (!res.ok) process.stderr.write(`${res.customer}: ${res.errors.join('; ')}\n`); });
+  return rejected.length ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,194 @@
+/** Declarative limits for every ROIParams field, shared by UI, imports and exports. */
+
+import type { ROIParams } from './roi.ts';
+import type { SubstrateSpec } from './substrates.ts';
+import type { UncertainKey } from './montecarlo.ts';
+import type { PricingField } from './pricing.ts';
+import type { ProjectionParams } from './projection.ts';
+
+export interface ParamConstraint {
+  label: string;
+  unit: string; // '' when dimensionless
+  min: number;
+  max: number;
+  integer: boolean;
+  step: number;
+}
+
+export type ParamErrors = { [K in keyof ROIParams]?: string };
+
+/** Formats canonical values for messages that quote a limit. */
+export interface ValueFormatter {
+  param: (key: keyof ROIParams, canonical: number) => string;
+  spec: (field: SpecField, canonical: number) => string;
+  pricing: (field: PricingField, canonical: number) => string;
+  projection: (key: keyof ProjectionParams, canonical: number) => string;
+  num: (v: number) => string; // up to 2 decimals
+}
+
+/**
+ * Wording of every validation error. Limits arrive in canonical units so a caller can
+ * convert and format them; the UI passes a translated set, scripts keep the English one.
+ */
+export interface ValidationMessages {
+  required: string;
+  wholeNumber: string;
+  min: (key: keyof ROIParams, limit: number) => string;
+  max: (key: keyof ROIParams, limit: number) => string;
+  fractionalStops: (avoided: number, suggestedPercent: number) => string;
+  stopTimeOverShift: (minutes: number, hoursPerShift: number) => string;
+  nameRequired: string;
+  nameTooLong: (max: number) => string;
+  nameTaken: (name: string) => string;
+  specRequired: (field: SpecField) => string;
+  specRange: (field: SpecField, min: number, max: number) => string;
+  distRequired: string;
+  distOrder: string;
+  distRange: (key: UncertainKey, min: number, max: number) => string;
+  pricingRange: (field: PricingField, min: number, max: number) => string;
+  projectionRange: (key: keyof ProjectionParams, min: number, max: number) => string;
+  // Links, JSON files and CSV imports; field and column names stay as written in the file.
+  fieldMissing: (field: string) => string;
+  notANumber: (field: string, value: string) => string;
+  notAMaterial: (value: string) => string;
+  notAPricingModel: (value: string) => string;
+  unsupportedVersion: (source: 'link' | 'file', version: string) => string;
+  notJSON: string;
+  notCalculatorFile: string;
+  fileEmpty: string;
+  missingColumns: (columns: string[]) => string;
+  csvLine: (line: number, problems: string[]) => string;
+  logDate: (value: string) => string;
+  logNegative: (column: string) => string;
+  logStops: string;
+  logRunMinutes: string;
+}
+
+/** Single source of truth for inputs, links/files and the PDF. */
+export const PARAM_SCHEMA: { [K in keyof ROIParams]: ParamConstraint } = {
+  webWidth: { label: 'Web width', unit: 'm', min: 0.2, max: 1, integer: false, step: 0.01 },
+  jobsPerShift: { label: 'Jobs/shift', unit: '', min: 1, max: 50, integer: true, step: 1 },
+  shiftsPerDay: { label: 'Shifts/day', unit: '', min: 1, max: 3, integer: true, step: 1 },
+  daysPerYear: { label: 'Days/year', unit: '', min: 1, max: 366, integer: true, step: 10 },
+  stopsPerJobBaseline: { label: 'Stops/job', unit: '', min: 0, max: 50, integer: true, step: 1 },
+  reductionPercent: { label: 'Stop reduction', unit: '%', min: 0, max: 100, integer: false, step: 1 },
+  wastePerStopM: { label: 'Waste/stop', unit: 'm', min: 0, max: 2000, integer: false, step: 5 },
+  minutesPerStop: { label: 'Time/stop', unit: 'min', min: 0, max: 120, integer: false, step: 1 },
+  speedMPerMin: { label: 'Speed', unit: 'm/min', min: 0, max: 300, integer: false, step: 5 },
+  uptimePercent: { label: 'Uptime', unit: '%', min: 0, max: 100, integer: false, step: 1 },
+  hoursPerShift: { label: 'Hours/shift', unit: 'h', min: 1, max: 12, integer: false, step: 0.5 },
+  trimReductionMm: { label: 'Trim reduction', unit: 'mm', min: 0, max: 20, integer: false, step: 0.5 },
+  substratePrice: { label: 'Substrate price', unit: '€/m²', min: 0, max: 20, integer: false, step: 0.01 },
+  operatorHourlyCost: { label: 'Operator cost', unit: '€/h', min: 0, max: 200, integer: false, step: 1 },
+  marginPerPressHour: { label: 'Margin/press hour', unit: '€/h', min: 0, max: 2000, integer: false, step: 5 },
+  haasPrice: { label: 'HaaS', unit: '€/year', min: 0, max: 1000000, integer: false, step: 100 },
+};
+
+export const PARAM_KEYS = Object.keys(PARAM_SCHEMA) as Array<keyof ROIParams>;
+
+export type SpecField = Exclude<keyof SubstrateSpec, 'name'>;
+
+/** Limits of the editable substrate catalog columns. */
+export const SPEC_SCHEMA: { [K in SpecField]: { label: string; unit: string; min: number; max: number; step: number } } = {
+  pricePerM2: { label: 'Price', unit: '€/m²', min: 0, max: 20, step: 0.01 },
+  thicknessMicron: { label: 'Thickness', unit: 'µm', min: 5, max: 500, step: 1 },
+  densityGPerCm3: { label: 'Density', unit: 'g/cm³', min: 0.5, max: 3, step: 0.01 },
+  co2eKgPerKg: { label: 'CO₂e', unit: 'kg/kg', min: 0, max: 20, step: 0.1 },
+};
+
+export const SPEC_FIELDS = Object.keys(SPEC_SCHEMA) as SpecField[];
+
+/** English wording, also used by the English UI with its locale formatter. Field names are the schema labels. */
+export function englishMessages(f: ValueFormatter): ValidationMessages {
+  return {
+    required: 'Required',
+    wholeNumber: 'Whole number only',
+    min: (key, limit) => `Min ${f.param(key, limit)}`,
+    max: (key, limit) => `Max ${f.param(key, limit)}`,
+    fractionalStops: (avoided, suggested) => `Gives ${f.num(avoided)} stops avoided/job; try ${f.param('reductionPercent', suggested)}`,
+    stopTimeOverShift: (minutes, hours) => `Stops avoided would free ${Math.round(minutes)} min per ${hours} h shift`,
+    nameRequired: 'Name is required',
+    nameTooLong: (max) => `Name is longer than ${max} characters`,
+    nameTaken: (name) => `"${name}" already exists`,
+    specRequired: (field) => `${SPEC_SCHEMA[field].label} is required`,
+    specRange: (field, min, max) => `${SPEC_SCHEMA[field].label} must be ${f.spec(field, min)}–${f.spec(field, max)}`,
+    distRequired: 'Min, likely and max are required',
+    distOrder: 'Needs min ≤ likely ≤ max',
+    distRange: (key, min, max) => `Stay within ${f.param(key, min)}–${f.param(key, max)}`,
+    pricingRange: (field, min, max) => `Stay within ${f.pricing(field, min)}–${f.pricing(field, max)}`,
+    projectionRange: (key, min, max) => `Stay within ${f.projection(key, min)}–${f.projection(key, max)}`,
+    fieldMissing: (field) => `${field} is missing`,
+    notANumber: (field, value) => `${field}: "${value}" is not a number`,
+    notAMaterial: (value) => `substrate: "${value}" is not a material name`,
+    notAPricingModel: (value) => `pricing: "${value}" is not a pricing model`,
+    unsupportedVersion: (source, version) => `Unsupported ${source} version "${version}"`,
+    notJSON: 'File is not valid JSON',
+    notCalculatorFile: 'File does not contain calculator inputs',
+    fileEmpty: 'File is empty',
+    missingColumns: (columns) => `Missing column(s): ${columns.join(', ')}`,
+    csvLine: (line, problems) => `Line ${line}: ${problems.join(', ')}`,
+    logDate: (value) => `date "${value}" is not YYYY-MM-DD`,
+    logNegative: (column) => `${column} must be 0 or more`,
+    logStops: 'stops must be a whole number, 0 or more',
+    logRunMinutes: 'runMinutes must be above 0',
+  };
+}
+
+// English spacing: "%" sticks to the number, other units take a space.
+const withUnit = (v: number, unit: string) => (!unit ? String(v) : unit === '%' ? `${v}%` : `${v} ${unit}`);
+
+// Canonical values for scripts and the CLI. Pricing and contract limits stay bare: their
+// schemas import this module, so it cannot read their units back.
+const PLAIN_VALUES: ValueFormatter = {
+  param: (key, v) => withUnit(Number(v.toFixed(4)), PARAM_SCHEMA[key].unit),
+  spec: (field, v) => withUnit(v, SPEC_SCHEMA[field].unit),
+  pricing: (_field, v) => String(v),
+  projection: (_key, v) => String(v),
+  num: (v) => v.toFixed(2),
+};
+
+// Scripts quote a range once in canonical units, as they do for pricing and contract limits.
+export const EN_MESSAGES: ValidationMessages = {
+  ...englishMessages(PLAIN_VALUES),
+  specRange: (field, min, max) => `${SPEC_SCHEMA[field].label} must be ${min}–${max} ${SPEC_SCHEMA[field].unit}`,
+  distRange: (_key, min, max) => `Stay within ${min}–${max}`,
+};
+
+export function checkParam(key: keyof ROIParams, value: number, m: ValidationMessages = EN_MESSAGES): string | undefined {
+  const c = PARAM_SCHEMA[key];
+  if (!Number.isFinite(value)) return m.required;
+  if (c.integer && !Number.isInteger(value)) return m.wholeNumber;
+  if (value < c.min) return m.min(key, c.min);
+  if (value > c.max) return m.max(key, c.max);
+  return undefined;
+}
+
+/** Reduction that gives a whole number of stops avoided per job, nearest to `percent`. */
+export function snapReduction(percent: number, stops: number) {
+  if (!(stops > 0)) return percent;
+  return (Math.round((percent * stops) / 100) * 100) / stops;
+}
+
+export function validateParams(p: ROIParams, m: ValidationMessages = EN_MESSAGES): ParamErrors {
+  const errors: ParamErrors = {};
+  PARAM_KEYS.forEach((key) => {
+    const e = checkParam(key, p[key], m);
+    if (e) errors[key] = e;
+  });
+
+  // Stops are counted, so the reduction has to avoid a whole number of them.
+  if (!errors.reductionPercent && !errors.stopsPerJobBaseline) {
+    const avoided = (p.stopsPerJobBaseline * p.reductionPercent) / 100;
+    if (Math.abs(avoided - Math.round(avoided)) > 1e-6) {
+      const near = snapReduction(p.reductionPercent, p.stopsPerJobBaseline);
+      errors.reductionPercent = m.fractionalStops(avoided, near);
+    }
+  }
+
+  // Time freed cannot exceed the shift it comes from.
+  if (!errors.minutesPerStop && !errors.reductionPercent && !errors.stopsPerJobBaseline && !errors.jobsPerShift && !errors.hoursPerShift) {
+    const minutes = ((p.stopsPerJobBaseline * p.reductionPercent) / 100) * p.jobsPerShift * p.minutesPerStop;
+    if (minutes > p.hoursPerShift * 60) errors.minutesPerStop = m.stopTimeOverShift(minutes, p.hoursPerShift);
+  }
+  return errors;
+}
@@ -0,0 +1,55 @@
+/** Minimal CSV reading and writing shared by the catalog import and the CLI. */
+
+export interface CSVTable {
+  header: string[];
+  rows: Array<{ line: number; cell: (column: string) => string }>;
+  decimalComma: boolean; // semicolon files, as Excel writes them in FR/DE/ES locales
+}
+
+function splitLine(line: string, sep: string): string[] {
+  const cells: string[] = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { cells.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+/** Header row required. Comma or semicolon separated; quoted cells may contain the separator. */
+export function readCSV(text: string): CSVTable {
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+  const first = lines.findIndex((l) => l.trim() !== '');
+  if (first < 0) return { header: [], rows: [], decimalComma: false };
+  const sep = lines[first].includes(';') ? ';' : ',';
+  const header = splitLine(lines[first], sep);
+  const rows: CSVTable['rows'] = [];
+  lines.forEach((l, i) => {
+    if (i <= first || l.trim() === '') return;
+    const cells = splitLine(l, sep);
+    rows.push({ line: i + 1, cell: (column) => cells[header.indexOf(column)] ?? '' });
+  });
+  return { header, rows, decimalComma: sep === ';' };
+}
+
+/** Empty cells become NaN so validation reports them instead of reading 0. */
+export function csvNumber(value: string, decimalComma: boolean): number {
+  const v = decimalComma ? value.replace(',', '.') : value;
+  return v.trim() === '' ? NaN : Number(v);
+}
+
+export function writeCSV(header: string[], rows: Array<Array<string | number>>): string {
+  const quote = (v: string | number) => {
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map((r) => r.map(quote).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,54 @@
+/** Several presses, each with its own inputs and HaaS line. */
+
+import { computeROI } from './roi.ts';
+import type { ROIParams, ROIResult } from './roi.ts';
+import { EN_MESSAGES, validateParams } from './constraints.ts';
+import type { ParamErrors, ValidationMessages } from './constraints.ts';
+
+export interface Press {
+  id: string;
+  name: string;
+  params: ROIParams; // haasPrice is this press's own HaaS line
+}
+
+export interface FleetRow {
+  press: Press;
+  result: ROIResult;
+  errors: ParamErrors;
+  paybackMonths: number | null; // months of savings to cover one year of HaaS; null if never
+}
+
+export interface FleetResult {
+  rows: FleetRow[];
+  euroTotal: number; // € valid presses only
+  haasTotal: number;
+  euroNet: number;
+  m2Total: number;
+  payingPresses: number;
+  netOfPaying: number; // € net if HaaS covers only the presses that pay back
+}
+
+export function computeFleet(presses: Press[], m: ValidationMessages = EN_MESSAGES): FleetResult {
+  const rows = presses.map((press) => {
+    const result = computeROI(press.params);
+    return {
+      press,
+      result,
+      errors: validateParams(press.params, m),
+      paybackMonths: result.euroTotal > 0 ? (press.params.haasPrice / result.euroTotal) * 12 : null,
+    };
+  });
+  const ok = rows.filter((row) => Object.keys(row.errors).length === 0);
+  const paying = ok.filter((row) => row.result.euroNet >= 0);
+  const sum = (list: FleetRow[], f: (row: FleetRow) => number) => list.reduce((acc, row) => acc + f(row), 0);
+
+  return {
+    rows,
+    euroTotal: sum(ok, (row) => row.result.euroTotal),
+    haasTotal: sum(ok, (row) => row.press.params.haasPrice),
+    euroNet: sum(ok, (row) => row.result.euroNet),
+    m2Total: sum(ok, (row) => row.result.m2CalagePerYear + row.result.m2TrimPerYear),
+    payingPresses: paying.length,
+    netOfPaying: sum(paying, (row) => row.result.euroNet),
+  };
+}
@@ -0,0 +1,103 @@
+/** Goal seek: the value one input needs for an output to reach a target, the others held. */
+
+import { computeROI } from './roi.ts';
+import type { ROIParams } from './roi.ts';
+import { EN_MESSAGES, PARAM_SCHEMA, validateParams } from './constraints.ts';
+import type { ParamErrors, ValidationMessages } from './constraints.ts';
+import { haasCost, pricingFor } from './pricing.ts';
+import type { PricingModel } from './pricing.ts';
+import { computeProjection } from './projection.ts';
+import type { ProjectionParams } from './projection.ts';
+import { SENSITIVITY_DRIVERS, gridNeighbours, gridStep, onGrid, solveParam } from './sensitivity.ts';
+
+export type GoalOutput = 'euroNet' | 'euroTotal' | 'paybackMonths';
+
+export const GOAL_OUTPUTS: GoalOutput[] = ['euroNet', 'euroTotal', 'paybackMonths'];
+
+/** Inputs a goal can move: the same levers the sensitivity ranks. */
+export const GOAL_INPUTS: Array<keyof ROIParams> = SENSITIVITY_DRIVERS;
+
+/** Limits of the target field; payback is the contract month it is reached by. */
+export const GOAL_SCHEMA: { [K in GoalOutput]: { unit: string; min: number; max: number; step: number } } = {
+  euroNet: { unit: '€/year', min: -10000000, max: 10000000, step: 1000 },
+  euroTotal: { unit: '€/year', min: 0, max: 10000000, step: 1000 },
+  paybackMonths: { unit: '', min: 0, max: 120, step: 1 },
+};
+
+export type GoalSeekResult =
+  | { ok: true; value: number; achieved: number; anyValue: boolean } // anyValue: the whole range reaches it
+  | { ok: false; reason: 'unreachable'; value: number; achieved: number } // the best the range gives
+  | { ok: false; reason: 'invalid'; value: number; achieved: number; errors: ParamErrors };
+
+/** The contract and pricing model the results are projected over; payback is read from them. */
+export interface GoalContract {
+  projection: ProjectionParams;
+  pricing: PricingModel;
+}
+
+/** The output for `p`. Payback is computeProjection's month, as the results show it; Infinity when the contract never pays back. */
+export function goalValue(output: GoalOutput, p: ROIParams, contract: GoalContract) {
+  if (output !== 'paybackMonths') return computeROI(p)[output];
+  return computeProjection(p, contract.projection, haasCost(contract.pricing)).paybackMonth ?? Infinity;
+}
+
+// A HaaS figure sets the fee of the chosen pricing model, as when the page applies it.
+function withFee(contract: GoalContract, perYear: number): GoalContract {
+  return { ...contract, pricing: pricingFor(contract.pricing, perYear, contract.projection.contractYears) };
+}
+
+// Payback moves a month at a time, so bisect on whether it is reached: the reaching end
+// of the boundary, or null when both ends of the range agree.
+function solveReached(key: keyof ROIParams, reaches: (v: number) => boolean): number | null {
+  let lo = PARAM_SCHEMA[key].min;
+  let hi = PARAM_SCHEMA[key].max;
+  const atLo = reaches(lo);
+  if (atLo === reaches(hi)) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (reaches(mid) === atLo) lo = mid;
+    else hi = mid;
+  }
+  return atLo ? lo : hi;
+}
+
+/**
+ * Solves within the input's PARAM_SCHEMA range. Counted inputs land on the nearest allowed
+ * value that still reaches the target (a payback no later, or a higher saving). The solution
+ * is checked with validateParams, since one input can break another's rule, e.g. more time
+ * per stop than a shift holds.
+ */
+export function goalSeek(
+  p: ROIParams,
+  key: keyof ROIParams,
+  output: GoalOutput,
+  target: number,
+  contract: GoalContract,
+  m: ValidationMessages = EN_MESSAGES,
+): GoalSeekResult {
+  const { min, max } = PARAM_SCHEMA[key];
+  const at = (v: number) => goalValue(output, { ...p, [key]: v }, key === 'haasPrice' ? withFee(contract, v) : contract);
+  const reaches = (v: number) => (output === 'paybackMonths' ? at(v) <= target : at(v) >= target);
+
+  const solved = output === 'paybackMonths'
+    ? solveReached(key, reaches)
+    : solveParam(p, key, (r) => r[output], target);
+  const anyValue = solved === null && reaches(min) && reaches(max);
+  let value: number;
+  if (solved === null) {
+    // Unreachable: the end that comes closest. Reached everywhere: the end that gives least.
+    const maxIsBetter = output === 'paybackMonths' ? at(max) <= at(min) : at(max) >= at(min);
+    value = maxIsBetter !== anyValue ? max : min;
+    if (!anyValue) return { ok: false, reason: 'unreachable', value, achieved: at(value) };
+  } else {
+    value = solved;
+    if (gridStep(p, key) > 0) {
+      const [down, up] = gridNeighbours(p, key, solved);
+      value = reaches(down) && onGrid(p, key, down) ? down : up;
+    }
+  }
+
+  const errors = validateParams({ ...p, [key]: value }, m);
+  if (Object.keys(errors).length > 0) return { ok: false, reason: 'invalid', value, achieved: at(value), errors };
+  return { ok: true, value, achieved: at(value), anyValue };
+}
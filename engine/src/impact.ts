@@ -0,0 +1,38 @@
+/** Tonnes, CO₂e and everyday equivalents of the saved film. */
+
+import type { MaterialSavings } from './substrates.ts';
+
+export interface ImpactEquivalent {
+  key: 'car' | 'flight' | 'tree' | 'household'; // stable id for translated labels
+  label: string;
+  value: number;
+  unit: string;
+}
+
+export interface ImpactResult {
+  tonnesPerYear: number;
+  co2eTonnesPerYear: number;
+  co2eTonnesOverContract: number;
+  equivalents: ImpactEquivalent[];
+}
+
+// Rounded public averages, meant for order-of-magnitude comparisons only.
+export const CAR_KG_CO2E_PER_KM = 0.17; // average European car, well-to-wheel
+export const FLIGHT_KG_CO2E = 1000; // Paris–New York return, one economy passenger
+export const TREE_KG_CO2_PER_YEAR = 25; // one mature tree
+export const HOUSEHOLD_KG_CO2E_PER_YEAR = 900; // EU household electricity
+
+export function computeImpact(material: MaterialSavings, contractYears: number): ImpactResult {
+  const co2eKg = material.co2eKgPerYear;
+  return {
+    tonnesPerYear: material.kgTotalPerYear / 1000,
+    co2eTonnesPerYear: co2eKg / 1000,
+    co2eTonnesOverContract: (co2eKg * contractYears) / 1000,
+    equivalents: [
+      { key: 'car', label: 'Car travel avoided', value: co2eKg / CAR_KG_CO2E_PER_KM, unit: 'km' },
+      { key: 'flight', label: 'Paris–New York return flights', value: co2eKg / FLIGHT_KG_CO2E, unit: 'flights' },
+      { key: 'tree', label: 'Trees absorbing for a year', value: co2eKg / TREE_KG_CO2_PER_YEAR, unit: 'trees' },
+      { key: 'household', label: 'Household electricity', value: co2eKg / HOUSEHOLD_KG_CO2E_PER_YEAR, unit: 'homes/year' },
+    ],
+  };
+}
@@ -0,0 +1,127 @@
+/** Public surface of the DeltaOne ROI engine. Framework-free; runs in the browser and in Node. */
+
+export { DEFAULT_PARAMS, computeROI } from './roi.ts';
+export type { ROIParams, ROIResult, Substrate } from './roi.ts';
+
+export {
+  PROJECTION_KEYS,
+  PROJECTION_SCHEMA,
+  checkProjectionValue,
+  computeProjection,
+  irrOf,
+  npvAt,
+  validateProjection,
+} from './projection.ts';
+export type { ProjectionErrors, ProjectionParams, ProjectionResult, ProjectionYear } from './projection.ts';
+
+export {
+  DEFAULT_SUBSTRATES,
+  MAX_SUBSTRATE_NAME,
+  checkSpec,
+  computeMaterialSavings,
+  massPerM2,
+  mergeCatalog,
+  parseCatalogCSV,
+} from './substrates.ts';
+export type { MaterialSavings, SubstrateSpec } from './substrates.ts';
+
+export {
+  CAR_KG_CO2E_PER_KM,
+  FLIGHT_KG_CO2E,
+  HOUSEHOLD_KG_CO2E_PER_YEAR,
+  TREE_KG_CO2_PER_YEAR,
+  computeImpact,
+} from './impact.ts';
+export type { ImpactEquivalent, ImpactResult } from './impact.ts';
+
+export {
+  EN_MESSAGES,
+  PARAM_KEYS,
+  PARAM_SCHEMA,
+  SPEC_FIELDS,
+  SPEC_SCHEMA,
+  checkParam,
+  englishMessages,
+  snapReduction,
+  validateParams,
+} from './constraints.ts';
+export type { ParamConstraint, ParamErrors, SpecField, ValidationMessages, ValueFormatter } from './constraints.ts';
+
+export { SENSITIVITY_DRIVERS, computeSensitivity, solveParam } from './sensitivity.ts';
+export type { SensitivityRow } from './sensitivity.ts';
+
+export { GOAL_INPUTS, GOAL_OUTPUTS, GOAL_SCHEMA, goalSeek, goalValue } from './goalseek.ts';
+export type { GoalContract, GoalOutput, GoalSeekResult } from './goalseek.ts';
+
+export {
+  DEFAULT_UNCERTAINTY,
+  UNCERTAIN_KEYS,
+  checkDist,
+  mulberry32,
+  runMonteCarlo,
+  sampleParams,
+  sampleTriangular,
+  summarizeNets,
+} from './montecarlo.ts';
+export type { MonteCarloResult, TriangularDist, UncertainKey, Uncertainty } from './montecarlo.ts';
+
+export {
+  STATE_VERSION,
+  decodeStateFromHash,
+  encodeStateToHash,
+  isSupportedVersion,
+  migrateContractYears,
+  migrateParams,
+  migratePricing,
+  stateFromJSON,
+  stateToJSON,
+  validateInputs,
+  validateState,
+} from './state.ts';
+export type { CalculatorState, DecodedInputs, DecodedState } from './state.ts';
+
+export {
+  IMPERIAL_PARAMS,
+  IMPERIAL_SPECS,
+  M2_PER_MSI,
+  M_PER_FT,
+  M_PER_IN,
+  areaIn,
+  lengthIn,
+  paramConversion,
+  specConversion,
+} from './units.ts';
+export type { UnitConversion, UnitSystem } from './units.ts';
+
+export {
+  DEFAULT_PRICING,
+  PRICING_FIELDS,
+  PRICING_KINDS,
+  PRICING_SCHEMA,
+  annualEquivalent,
+  checkPricingValue,
+  haasCost,
+  pricingFor,
+  pricingValid,
+  tierDiscount,
+  validatePricing,
+} from './pricing.ts';
+export type { HaasCost, PricingErrors, PricingField, PricingKind, PricingModel, VolumeTier } from './pricing.ts';
+
+export { PRODUCTION_COLUMNS, compareActuals, measureActuals, parseProductionCSV, realisedParams } from './actuals.ts';
+export type { ActualMeasures, ActualsPeriod, ActualsReport, ProductionJob } from './actuals.ts';
+
+export { computeFleet } from './fleet.ts';
+export type { FleetResult, FleetRow, Press } from './fleet.ts';
+
+export { csvNumber, readCSV, writeCSV } from './csv.ts';
+export type { CSVTable } from './csv.ts';
+
+export {
+  evaluateCustomers,
+  formatResultsCSV,
+  formatResultsJSON,
+  readCustomersCSV,
+  readCustomersJSON,
+} from './batch.ts';
+export type { CustomerRecord, CustomerResult } from './batch.ts';
@@ -0,0 +1,133 @@
+/** Seeded Monte Carlo simulation of euroNet over uncertain drivers. */
+
+import { computeROI } from './roi.ts';
+import type { ROIParams } from './roi.ts';
+import { EN_MESSAGES, PARAM_SCHEMA, snapReduction } from './constraints.ts';
+import type { ValidationMessages } from './constraints.ts';
+
+export type UncertainKey = 'stopsPerJobBaseline' | 'reductionPercent' | 'wastePerStopM' | 'uptimePercent';
+
+export interface TriangularDist {
+  min: number;
+  likely: number;
+  max: number;
+}
+
+export type Uncertainty = { [K in UncertainKey]: TriangularDist };
+
+export interface MonteCarloResult {
+  runs: number;
+  seed: number;
+  mean: number; // € euroNet
+  p10: number;
+  p50: number;
+  p90: number;
+  probBeatHaas: number; // share of runs with euroNet > 0
+  histogram: Array<{ from: number; to: number; count: number }>;
+}
+
+export const UNCERTAIN_KEYS: UncertainKey[] = ['stopsPerJobBaseline', 'reductionPercent', 'wastePerStopM', 'uptimePercent'];
+
+export const DEFAULT_UNCERTAINTY: Uncertainty = {
+  stopsPerJobBaseline: { min: 4, likely: 6, max: 8 },
+  reductionPercent: { min: 30, likely: 50, max: 65 },
+  wastePerStopM: { min: 60, likely: 100, max: 150 },
+  uptimePercent: { min: 45, likely: 60, max: 70 },
+};
+
+const MC_BATCH = 500;
+
+/** Small seedable PRNG (mulberry32); same seed, same sequence. */
+export function mulberry32(seed: number) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Inverse CDF of the triangular distribution for u in [0, 1). */
+export function sampleTriangular(d: TriangularDist, u: number) {
+  const span = d.max - d.min;
+  if (span <= 0) return d.likely;
+  const c = (d.likely - d.min) / span;
+  return u < c ? d.min + Math.sqrt(u * span * (d.likely - d.min)) : d.max - Math.sqrt((1 - u) * span * (d.max - d.likely));
+}
+
+export function checkDist(key: UncertainKey, d: TriangularDist, m: ValidationMessages = EN_MESSAGES): string | undefined {
+  const { min, max } = PARAM_SCHEMA[key];
+  if (![d.min, d.likely, d.max].every(Number.isFinite)) return m.distRequired;
+  if (d.min > d.likely || d.likely > d.max) return m.distOrder;
+  if (d.min < min || d.max > max) return m.distRange(key, min, max);
+  return undefined;
+}
+
+function percentile(sorted: number[], q: number) {
+  if (sorted.length === 0) return NaN;
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+export function summarizeNets(nets: number[], seed: number, bins = 20): MonteCarloResult {
+  const sorted = [...nets].sort((a, b) => a - b);
+  const lo = sorted[0] ?? 0;
+  const hi = sorted[sorted.length - 1] ?? 0;
+  const width = (hi - lo) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }));
+  sorted.forEach((v) => { histogram[Math.min(bins - 1, Math.floor((v - lo) / width))].count++; });
+
+  return {
+    runs: sorted.length,
+    seed,
+    mean: sorted.reduce((a, v) => a + v, 0) / (sorted.length || 1),
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    probBeatHaas: sorted.filter((v) => v > 0).length / (sorted.length || 1),
+    histogram,
+  };
+}
+
+/**
+ * One run's inputs, as the calculator takes them: stops per job are rounded to whole values
+ * and the reduction snapped to a whole number of stops avoided.
+ */
+export function sampleParams(p: ROIParams, dists: Uncertainty, rng: () => number): ROIParams {
+  const sample = { ...p };
+  UNCERTAIN_KEYS.forEach((key) => {
+    const v = sampleTriangular(dists[key], rng());
+    sample[key] = PARAM_SCHEMA[key].integer ? Math.round(v) : v;
+  });
+  sample.reductionPercent = snapReduction(sample.reductionPercent, sample.stopsPerJobBaseline);
+  return sample;
+}
+
+/**
+ * Samples the uncertain drivers and reruns computeROI `runs` times. Works in batches and
+ * yields to the event loop between them so typing stays responsive; resolves to null
+ * if `cancelled()` turns true before the end.
+ */
+export async function runMonteCarlo(
+  p: ROIParams,
+  dists: Uncertainty,
+  runs: number,
+  seed: number,
+  onProgress: (done: number) => void,
+  cancelled: () => boolean,
+): Promise<MonteCarloResult | null> {
+  const rng = mulberry32(seed);
+  const nets: number[] = [];
+  while (nets.length < runs) {
+    const n = Math.min(MC_BATCH, runs - nets.length);
+    for (let i = 0; i < n; i++) nets.push(computeROI(sampleParams(p, dists, rng)).euroNet);
+    onProgress(nets.length);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (cancelled()) return null;
+  }
+  return summarizeNets(nets, seed);
+}
@@ -0,0 +1,134 @@
+/** HaaS pricing models: what each DeltaOne unit costs the customer under the chosen offer. */
+
+import { EN_MESSAGES } from './constraints.ts';
+import type { ParamConstraint, ValidationMessages } from './constraints.ts';
+
+export type PricingKind = 'annual' | 'subscription' | 'purchase';
+
+export const PRICING_KINDS: PricingKind[] = ['annual', 'subscription', 'purchase'];
+
+export interface VolumeTier {
+  minUnits: number; // the tier applies from this many units
+  discountPercent: number; // % off every unit
+}
+
+export interface PricingModel {
+  kind: PricingKind;
+  annualFee: number; // €/year per unit
+  monthlyFee: number; // €/month per unit
+  purchasePrice: number; // € per unit, paid at signature
+  maintenancePercent: number; // % of the purchase price per year
+  units: number; // units quoted; picks the volume tier
+  tiers: VolumeTier[];
+}
+
+export const DEFAULT_PRICING: PricingModel = {
+  kind: 'annual',
+  annualFee: 20000,
+  monthlyFee: 1800,
+  purchasePrice: 50000,
+  maintenancePercent: 8,
+  units: 1,
+  tiers: [
+    { minUnits: 3, discountPercent: 5 },
+    { minUnits: 5, discountPercent: 10 },
+  ],
+};
+
+type ModelField = Exclude<keyof PricingModel, 'kind' | 'tiers'>;
+export type PricingField = ModelField | keyof VolumeTier;
+
+export const PRICING_SCHEMA: { [K in PricingField]: ParamConstraint } = {
+  annualFee: { label: 'Annual fee', unit: '€/year', min: 0, max: 1000000, integer: false, step: 100 },
+  monthlyFee: { label: 'Monthly fee', unit: '€/month', min: 0, max: 100000, integer: false, step: 10 },
+  purchasePrice: { label: 'Purchase price', unit: '€', min: 0, max: 5000000, integer: false, step: 1000 },
+  maintenancePercent: { label: 'Maintenance/year', unit: '%', min: 0, max: 50, integer: false, step: 0.5 },
+  units: { label: 'Units quoted', unit: '', min: 1, max: 100, integer: true, step: 1 },
+  minUnits: { label: 'From units', unit: '', min: 2, max: 100, integer: true, step: 1 },
+  discountPercent: { label: 'Discount', unit: '%', min: 0, max: 90, integer: false, step: 0.5 },
+};
+
+/** Fields each model reads; the others keep their values but are not checked. */
+export const PRICING_FIELDS: { [K in PricingKind]: ModelField[] } = {
+  annual: ['annualFee', 'units'],
+  subscription: ['monthlyFee', 'units'],
+  purchase: ['purchasePrice', 'maintenancePercent', 'units'],
+};
+
+export interface PricingErrors {
+  fields: { [K in PricingField]?: string };
+  tiers: Array<{ [K in keyof VolumeTier]?: string }>; // one entry per tier
+}
+
+export function checkPricingValue(field: PricingField, value: number, m: ValidationMessages = EN_MESSAGES): string | undefined {
+  const c = PRICING_SCHEMA[field];
+  if (!Number.isFinite(value)) return m.required;
+  if (c.integer && !Number.isInteger(value)) return m.wholeNumber;
+  if (value < c.min || value > c.max) return m.pricingRange(field, c.min, c.max);
+  return undefined;
+}
+
+export function validatePricing(model: PricingModel, m: ValidationMessages = EN_MESSAGES): PricingErrors {
+  const fields: PricingErrors['fields'] = {};
+  PRICING_FIELDS[model.kind].forEach((f) => {
+    const e = checkPricingValue(f, model[f], m);
+    if (e) fields[f] = e;
+  });
+  const tiers = model.tiers.map((tier) => {
+    const errors: PricingErrors['tiers'][number] = {};
+    (['minUnits', 'discountPercent'] as const).forEach((f) => {
+      const e = checkPricingValue(f, tier[f], m);
+      if (e) errors[f] = e;
+    });
+    return errors;
+  });
+  return { fields, tiers };
+}
+
+export function pricingValid(errors: PricingErrors) {
+  return Object.keys(errors.fields).length === 0 && errors.tiers.every((e) => Object.keys(e).length === 0);
+}
+
+/** Discount of the highest tier the quantity reaches; 0 below the first tier. */
+export function tierDiscount(tiers: VolumeTier[], units: number) {
+  let best = { minUnits: 0, discountPercent: 0 };
+  tiers.forEach((tier) => {
+    if (units >= tier.minUnits && tier.minUnits >= best.minUnits) best = tier;
+  });
+  return best.discountPercent;
+}
+
+/** What one unit costs under the model, after the volume discount. */
+export interface HaasCost {
+  upfront: number; // € at signature
+  perYear: number; // € a year
+  billing: 'annual' | 'monthly'; // perYear up front each year, or a twelfth each month
+  discountPercent: number;
+}
+
+/** `units` defaults to the quoted quantity; a fleet passes its number of presses. */
+export function haasCost(model: PricingModel, units = model.units): HaasCost {
+  const discountPercent = tierDiscount(model.tiers, units);
+  const k = 1 - discountPercent / 100;
+  if (model.kind === 'purchase') {
+    return { upfront: model.purchasePrice * k, perYear: ((model.purchasePrice * model.maintenancePercent) / 100) * k, billing: 'annual', discountPercent };
+  }
+  if (model.kind === 'subscription') return { upfront: 0, perYear: model.monthlyFee * 12 * k, billing: 'monthly', discountPercent };
+  return { upfront: 0, perYear: model.annualFee * k, billing: 'annual', discountPercent };
+}
+
+/**
+ * Flat €/year over the contract, with a purchase spread evenly across it. This is the
+ * figure ROIParams.haasPrice carries into computeROI, sensitivity and Monte Carlo.
+ */
+export function annualEquivalent(cost: HaasCost, contractYears: number) {
+  return cost.perYear + cost.upfront / Math.max(1, contractYears);
+}
+
+/** The model's own fee set so its annualEquivalent is `perYear`, as when a goal seek solves haasPrice. */
+export function pricingFor(model: PricingModel, perYear: number, contractYears: number): PricingModel {
+  const k = 1 - tierDiscount(model.tiers, model.units) / 100;
+  if (model.kind === 'purchase') return { ...model, purchasePrice: perYear / (k * (model.maintenancePercent / 100 + 1 / Math.max(1, contractYears))) };
+  if (model.kind === 'subscription') return { ...model, monthlyFee: perYear / 12 / k };
+  return { ...model, annualFee: perYear / k };
+}
@@ -0,0 +1,143 @@
+/** Multi-year cash flows, payback, NPV and IRR on top of computeROI. */
+
+import { computeROI } from './roi.ts';
+import type { ROIParams } from './roi.ts';
+import type { HaasCost } from './pricing.ts';
+import { EN_MESSAGES } from './constraints.ts';
+import type { ParamConstraint, ValidationMessages } from './constraints.ts';
+
+export interface ProjectionParams {
+  contractYears: number;
+  substrateInflationPercent: number; // %/year
+  haasEscalationPercent: number; // %/year
+  discountRatePercent: number; // %
+  rampUpStartPercent: number; // % of full savings in month 1
+  rampUpMonths: number; // months to reach full savings
+}
+
+export type ProjectionErrors = { [K in keyof ProjectionParams]?: string };
+
+/** Limits of the contract inputs, in the same form as PARAM_SCHEMA. */
+export const PROJECTION_SCHEMA: { [K in keyof ProjectionParams]: ParamConstraint } = {
+  contractYears: { label: 'Contract (years)', unit: '', min: 1, max: 10, integer: true, step: 1 },
+  substrateInflationPercent: { label: 'Substrate inflation', unit: '%/year', min: -10, max: 20, integer: false, step: 0.5 },
+  haasEscalationPercent: { label: 'HaaS escalation', unit: '%/year', min: 0, max: 20, integer: false, step: 0.5 },
+  discountRatePercent: { label: 'Discount rate', unit: '%', min: 0, max: 50, integer: false, step: 0.5 },
+  rampUpStartPercent: { label: 'Ramp-up start', unit: '%', min: 0, max: 100, integer: false, step: 5 },
+  rampUpMonths: { label: 'Ramp-up (months)', unit: '', min: 0, max: 12, integer: true, step: 1 },
+};
+
+export const PROJECTION_KEYS = Object.keys(PROJECTION_SCHEMA) as Array<keyof ProjectionParams>;
+
+export interface ProjectionYear {
+  year: number;
+  savings: number; // €
+  haas: number; // €
+  net: number; // €
+  cumulativeNet: number; // €
+}
+
+export interface ProjectionResult {
+  years: ProjectionYear[];
+  cashFlows: number[]; // € at t = 0..N: annual fees in advance (plus any purchase at t = 0), monthly fees within their year
+  totalNet: number;
+  npv: number;
+  irr: number | null; // fraction; null when cash flows never change sign
+  paybackMonth: number | null; // first month with cumulative net ≥ 0
+}
+
+export function checkProjectionValue(key: keyof ProjectionParams, value: number, m: ValidationMessages = EN_MESSAGES): string | undefined {
+  const c = PROJECTION_SCHEMA[key];
+  if (!Number.isFinite(value)) return m.required;
+  if (c.integer && !Number.isInteger(value)) return m.wholeNumber;
+  if (value < c.min || value > c.max) return m.projectionRange(key, c.min, c.max);
+  return undefined;
+}
+
+/** computeProjection expects inputs that pass this; it does not clamp them itself. */
+export function validateProjection(pr: ProjectionParams, m: ValidationMessages = EN_MESSAGES): ProjectionErrors {
+  const errors: ProjectionErrors = {};
+  PROJECTION_KEYS.forEach((key) => {
+    const e = checkProjectionValue(key, pr[key], m);
+    if (e) errors[key] = e;
+  });
+  return errors;
+}
+
+function rampFactor(month: number, pr: ProjectionParams) {
+  if (month >= pr.rampUpMonths) return 1;
+  const start = pr.rampUpStartPercent / 100;
+  return start + (1 - start) * (month / pr.rampUpMonths);
+}
+
+export function npvAt(cashFlows: number[], rate: number) {
+  return cashFlows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + rate, t), 0);
+}
+
+/** Bisection from −99 %; the upper bound doubles until it brackets a root (HaaS-only flows can exceed 1000 %). */
+export function irrOf(cashFlows: number[]): number | null {
+  let lo = -0.99;
+  let hi = 1;
+  let fLo = npvAt(cashFlows, lo);
+  while (fLo * npvAt(cashFlows, hi) > 0 && hi < 1e6) hi *= 2;
+  if (fLo * npvAt(cashFlows, hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npvAt(cashFlows, mid);
+    if (Math.abs(fMid) < 1e-6) return mid;
+    if (fLo * fMid < 0) { hi = mid; } else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Projects computeROI over the contract. Savings accrue monthly (ramped in year 1,
+ * indexed on substrate inflation); HaaS is billed at the start of each year, or month by
+ * month for a subscription. A pricing model's cost replaces the flat haasPrice: a purchase
+ * lands in year 1 and only the recurring part escalates.
+ */
+export function computeProjection(
+  p: ROIParams,
+  pr: ProjectionParams,
+  cost: Pick<HaasCost, 'upfront' | 'perYear' | 'billing'> = { upfront: 0, perYear: p.haasPrice, billing: 'annual' },
+): ProjectionResult {
+  const base = computeROI(p);
+  const years: ProjectionYear[] = [];
+  const inAdvance: number[] = []; // € billed at the start of each year
+  let cumulative = 0;
+  let paybackMonth: number | null = null;
+
+  for (let y = 0; y < pr.contractYears; y++) {
+    const fee = cost.perYear * Math.pow(1 + pr.haasEscalationPercent / 100, y);
+    const upfront = y === 0 ? cost.upfront : 0;
+    const monthlyFee = cost.billing === 'monthly' ? fee / 12 : 0;
+    const monthly = (base.euroTotal / 12) * Math.pow(1 + pr.substrateInflationPercent / 100, y);
+    inAdvance.push(upfront + (cost.billing === 'monthly' ? 0 : fee));
+
+    let savings = 0;
+    let running = cumulative - inAdvance[y];
+    for (let m = 0; m < 12; m++) {
+      const s = monthly * rampFactor(y * 12 + m, pr);
+      savings += s;
+      running += s - monthlyFee;
+      if (paybackMonth === null && running >= 0) paybackMonth = y * 12 + m + 1;
+    }
+
+    const haas = fee + upfront;
+    const net = savings - haas;
+    cumulative += net;
+    years.push({ year: y + 1, savings, haas, net, cumulativeNet: cumulative });
+  }
+
+  const cashFlows = [-(inAdvance[0] ?? 0)];
+  years.forEach((yr, i) => cashFlows.push(yr.savings - (yr.haas - inAdvance[i]) - (inAdvance[i + 1] ?? 0)));
+
+  return {
+    years,
+    cashFlows,
+    totalNet: cumulative,
+    npv: npvAt(cashFlows, pr.discountRatePercent / 100),
+    irr: irrOf(cashFlows),
+    paybackMonth,
+  };
+}
@@ -0,0 +1,101 @@
+/** Core DeltaOne ROI model: one press, one year. */
+
+export interface ROIParams {
+  webWidth: number; // m
+  jobsPerShift: number;
+  shiftsPerDay: number;
+  daysPerYear: number;
+  stopsPerJobBaseline: number;
+  reductionPercent: number; // %
+  wastePerStopM: number; // m
+  minutesPerStop: number; // min of press and operator time per stop
+  speedMPerMin: number; // m/min
+  uptimePercent: number; // %
+  hoursPerShift: number; // h
+  trimReductionMm: number; // mm of web width saved by DeltaOne
+  substratePrice: number; // €/m²
+  operatorHourlyCost: number; // €/h
+  marginPerPressHour: number; // €/h contribution margin, after operator cost
+  haasPrice: number; // €/year
+}
+
+/** Starting point of the calculator (one 330 mm line, two shifts). Press time is valued only once the customer enters it. */
+export const DEFAULT_PARAMS: ROIParams = {
+  webWidth: 0.33,
+  jobsPerShift: 6,
+  shiftsPerDay: 2,
+  daysPerYear: 250,
+  stopsPerJobBaseline: 6,
+  reductionPercent: 50,
+  wastePerStopM: 100,
+  minutesPerStop: 0,
+  speedMPerMin: 165,
+  uptimePercent: 60,
+  hoursPerShift: 8,
+  trimReductionMm: 3,
+  substratePrice: 0.6,
+  operatorHourlyCost: 0,
+  marginPerPressHour: 0,
+  haasPrice: 20000,
+};
+
+export type Substrate = string; // material name in the substrate catalog
+
+export interface ROIResult {
+  jobsPerDay: number;
+  jobsPerYear: number;
+  m2PerStop: number;
+  m2CalagePerYear: number;
+  printedLengthPerYear: number; // m
+  m2TrimPerYear: number;
+  hoursFreedPerYear: number; // press hours no longer spent on stops
+  extraJobsPerYear: number; // jobs that fit in the freed hours at the current job length
+  euroCalage: number;
+  euroTrim: number;
+  euroLabour: number;
+  euroCapacity: number; // margin earned on the freed hours
+  euroTotal: number;
+  euroNet: number;
+}
+
+export function computeROI(p: ROIParams): ROIResult {
+  const jobsPerDay = p.jobsPerShift * p.shiftsPerDay;
+  const jobsPerYear = jobsPerDay * p.daysPerYear;
+
+  const stopsAvoidedPerJob = (p.stopsPerJobBaseline * p.reductionPercent) / 100;
+  const m2PerStop = p.webWidth * p.wastePerStopM; // m * m = m²
+  const m2CalagePerYear = m2PerStop * stopsAvoidedPerJob * jobsPerYear;
+
+  const minutesPerDay = p.hoursPerShift * 60 * p.shiftsPerDay;
+  const printedLengthPerDay = p.speedMPerMin * (p.uptimePercent / 100) * minutesPerDay; // m/day
+  const printedLengthPerYear = printedLengthPerDay * p.daysPerYear; // m/year
+  const m2TrimPerYear = (p.trimReductionMm / 1000) * printedLengthPerYear; // mm → m
+
+  const hoursFreedPerYear = (stopsAvoidedPerJob * jobsPerYear * p.minutesPerStop) / 60;
+  const extraJobsPerYear = (hoursFreedPerYear * p.jobsPerShift) / p.hoursPerShift;
+
+  const euroCalage = m2CalagePerYear * p.substratePrice;
+  const euroTrim = m2TrimPerYear * p.substratePrice;
+  // The freed hour stops paying an idle operator and can run a job that earns the margin on top.
+  const euroLabour = hoursFreedPerYear * p.operatorHourlyCost;
+  const euroCapacity = hoursFreedPerYear * p.marginPerPressHour;
+  const euroTotal = euroCalage + euroTrim + euroLabour + euroCapacity;
+  const euroNet = euroTotal - p.haasPrice;
+
+  return {
+    jobsPerDay,
+    jobsPerYear,
+    m2PerStop,
+    m2CalagePerYear,
+    printedLengthPerYear,
+    m2TrimPerYear,
+    hoursFreedPerYear,
+    extraJobsPerYear,
+    euroCalage,
+    euroTrim,
+    euroLabour,
+    euroCapacity,
+    euroTotal,
+    euroNet,
+  };
+}
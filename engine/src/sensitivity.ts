@@ -0,0 +1,115 @@
+/** One-at-a-time sensitivity and break-even values of the ROI drivers. */
+
+import { computeROI } from './roi.ts';
+import type { ROIParams, ROIResult } from './roi.ts';
+import { PARAM_SCHEMA } from './constraints.ts';
+
+export const SENSITIVITY_DRIVERS: Array<keyof ROIParams> = [
+  'webWidth',
+  'jobsPerShift',
+  'shiftsPerDay',
+  'daysPerYear',
+  'stopsPerJobBaseline',
+  'reductionPercent',
+  'wastePerStopM',
+  'minutesPerStop',
+  'speedMPerMin',
+  'uptimePercent',
+  'trimReductionMm',
+  'substratePrice',
+  'operatorHourlyCost',
+  'marginPerPressHour',
+  'haasPrice',
+];
+
+export interface SensitivityRow {
+  key: keyof ROIParams;
+  low: number; // driver value at −range
+  high: number; // driver value at +range
+  netLow: number; // € euroNet at low
+  netHigh: number; // € euroNet at high
+  swing: number; // € |netHigh − netLow|
+  breakEven: number | null; // driver value where euroNet = 0, null if outside its valid range
+}
+
+/**
+ * Bisection on one ROIParams field, within its PARAM_SCHEMA range, until
+ * `output(computeROI(...))` hits `target`. Returns null when the range does not bracket it.
+ */
+export function solveParam(p: ROIParams, key: keyof ROIParams, output: (r: ROIResult) => number, target: number): number | null {
+  const gap = (v: number) => output(computeROI({ ...p, [key]: v })) - target;
+  let lo = PARAM_SCHEMA[key].min;
+  let hi = PARAM_SCHEMA[key].max;
+  let gLo = gap(lo);
+  const gHi = gap(hi);
+  if (gLo === 0) return lo;
+  if (gHi === 0) return hi;
+  if (gLo * gHi > 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    const gMid = gap(mid);
+    if (Math.abs(gMid) < 1e-6) return mid;
+    if (gLo * gMid < 0) { hi = mid; } else { lo = mid; gLo = gMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+/** Spacing of the values an input can take: whole counts, or whole stops avoided per job; 0 when continuous. */
+export function gridStep(p: ROIParams, key: keyof ROIParams) {
+  if (key === 'reductionPercent') return p.stopsPerJobBaseline > 0 ? 100 / p.stopsPerJobBaseline : 0;
+  return PARAM_SCHEMA[key].integer ? 1 : 0;
+}
+
+/** Stop counts must also leave a whole number of stops avoided at the current reduction. */
+export function onGrid(p: ROIParams, key: keyof ROIParams, v: number) {
+  if (key !== 'stopsPerJobBaseline') return true;
+  const avoided = (v * p.reductionPercent) / 100;
+  return Math.abs(avoided - Math.round(avoided)) <= 1e-6;
+}
+
+/** The allowed values just below and above `v` on a gridded input, within its schema range. */
+export function gridNeighbours(p: ROIParams, key: keyof ROIParams, v: number): [number, number] {
+  const { min, max } = PARAM_SCHEMA[key];
+  const step = gridStep(p, key);
+  let down = Math.max(min, Math.floor(v / step + 1e-9) * step);
+  let up = Math.min(max, Math.ceil(v / step - 1e-9) * step);
+  while (down > min && !onGrid(p, key, down)) down -= step;
+  while (up < max && !onGrid(p, key, up)) up += step;
+  return [down, up];
+}
+
+function nearestAllowed(p: ROIParams, key: keyof ROIParams, v: number) {
+  if (gridStep(p, key) === 0) return v;
+  const [down, up] = gridNeighbours(p, key, v);
+  if (!onGrid(p, key, up)) return down;
+  if (!onGrid(p, key, down)) return up;
+  return v - down <= up - v ? down : up;
+}
+
+/**
+ * Varies each driver by ±rangePercent (clamped to its schema range, then moved to the
+ * nearest value the calculator accepts), ranked by swing in euroNet. Break-even on a
+ * gridded driver is the first allowed value with a net of 0 or more, as in goalSeek.
+ */
+export function computeSensitivity(p: ROIParams, rangePercent: number): SensitivityRow[] {
+  return SENSITIVITY_DRIVERS.map((key) => {
+    const { min, max } = PARAM_SCHEMA[key];
+    const low = nearestAllowed(p, key, Math.max(min, p[key] * (1 - rangePercent / 100)));
+    const high = nearestAllowed(p, key, Math.min(max, p[key] * (1 + rangePercent / 100)));
+    const net = (v: number) => computeROI({ ...p, [key]: v }).euroNet;
+    let breakEven = solveParam(p, key, (res) => res.euroNet, 0);
+    if (breakEven !== null && gridStep(p, key) > 0) {
+      const [down, up] = gridNeighbours(p, key, breakEven);
+      breakEven = onGrid(p, key, down) && net(down) >= 0 ? down : up;
+    }
+    return {
+      key,
+      low,
+      high,
+      netLow: net(low),
+      netHigh: net(high),
+      swing: Math.abs(net(high) - net(low)),
+      breakEven,
+    };
+  }).sort((a, b) => b.swing - a.swing);
+}
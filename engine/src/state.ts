@@ -0,0 +1,211 @@
+/** Versioned, validated serialisation of calculator inputs (URL hash and JSON file). */
+
+import type { ROIParams, Substrate } from './roi.ts';
+import { EN_MESSAGES, PARAM_KEYS, validateParams } from './constraints.ts';
+import type { ValidationMessages } from './constraints.ts';
+import { MAX_SUBSTRATE_NAME } from './substrates.ts';
+import { DEFAULT_PRICING, PRICING_FIELDS, PRICING_KINDS, validatePricing } from './pricing.ts';
+import type { PricingKind, PricingModel, VolumeTier } from './pricing.ts';
+import { checkProjectionValue } from './projection.ts';
+
+export interface CalculatorState {
+  params: ROIParams; // haasPrice is the pricing model's yearly figure when the state was saved
+  substrate: Substrate;
+  pricing: PricingModel;
+  contractYears: number; // spreads a purchase over the contract in haasPrice
+}
+
+export type DecodedState = { ok: true; state: CalculatorState } | { ok: false; errors: string[] };
+export type DecodedInputs = { ok: true; params: ROIParams; substrate: Substrate } | { ok: false; errors: string[] };
+
+export const STATE_VERSION = 5;
+
+/** Versions this code can read: whole numbers from 1 to STATE_VERSION. */
+export function isSupportedVersion(v: unknown): v is number {
+  return typeof v === 'number' && Number.isInteger(v) && v >= 1 && v <= STATE_VERSION;
+}
+
+/** Fills fields that older links, files and saved scenarios did not carry. */
+export function migrateParams(raw: { [k: string]: unknown }, version: number): { [k: string]: unknown } {
+  let params = raw;
+  if (version < 2) params = { trimReductionMm: 3, ...params };
+  // Time was not valued before v3.
+  if (version < 3) params = { minutesPerStop: 0, operatorHourlyCost: 0, marginPerPressHour: 0, ...params };
+  return params;
+}
+
+/** Before v4 only the yearly HaaS figure was kept, so it reads as a plain annual fee for one unit. */
+export function migratePricing(raw: unknown, params: { [k: string]: unknown }, version: number): unknown {
+  return version < 4 ? { ...DEFAULT_PRICING, kind: 'annual', annualFee: params.haasPrice, units: 1 } : raw;
+}
+
+/** Before v5 the contract length was not kept; the calculator then always opened on 3 years. */
+export function migrateContractYears(raw: unknown, version: number): unknown {
+  return version < 5 ? 3 : raw;
+}
+
+// Links carry text, files carry numbers; blanks are missing rather than 0.
+function numberOf(v: unknown) {
+  return typeof v === 'number' ? v : typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN;
+}
+
+function isBlank(v: unknown) {
+  return v === undefined || v === null || v === '';
+}
+
+/** Checks every ROIParams field and the substrate; never coerces a bad value to 0. */
+export function validateInputs(raw: { [k: string]: unknown }, substrate: unknown, m: ValidationMessages = EN_MESSAGES): DecodedInputs {
+  const errors: string[] = [];
+  const params = {} as ROIParams;
+
+  const unreadable = new Set<keyof ROIParams>();
+
+  PARAM_KEYS.forEach((key) => {
+    const v = raw[key];
+    const n = numberOf(v);
+    if (isBlank(v)) errors.push(m.fieldMissing(key));
+    else if (!Number.isFinite(n)) errors.push(m.notANumber(key, String(v)));
+    if (!Number.isFinite(n)) unreadable.add(key);
+    params[key] = n;
+  });
+
+  const fieldErrors = validateParams(params, m);
+  PARAM_KEYS.forEach((key) => {
+    if (fieldErrors[key] && !unreadable.has(key)) errors.push(`${key}: ${fieldErrors[key]}`);
+  });
+
+  if (typeof substrate !== 'string' || substrate.trim() === '' || substrate.length > MAX_SUBSTRATE_NAME) errors.push(m.notAMaterial(String(substrate)));
+
+  return errors.length ? { ok: false, errors } : { ok: true, params, substrate: substrate as Substrate };
+}
+
+/**
+ * Checks the fields the model's kind reads and every tier. Fields it does not read keep
+ * their stored value when it is a number, else the default.
+ */
+function readPricing(raw: unknown, m: ValidationMessages): { ok: true; pricing: PricingModel } | { ok: false; errors: string[] } {
+  if (!raw || typeof raw !== 'object') return { ok: false, errors: [m.fieldMissing('pricing')] };
+  const data = raw as { [k: string]: unknown };
+  if (!PRICING_KINDS.includes(data.kind as PricingKind)) return { ok: false, errors: [m.notAPricingModel(String(data.kind))] };
+  const kind = data.kind as PricingKind;
+  if (!Array.isArray(data.tiers)) return { ok: false, errors: [m.fieldMissing('pricing.tiers')] };
+
+  const errors: string[] = [];
+  const unreadable = new Set<string>();
+  const read = (name: string, v: unknown) => {
+    const n = numberOf(v);
+    if (isBlank(v)) errors.push(m.fieldMissing(name));
+    else if (!Number.isFinite(n)) errors.push(m.notANumber(name, String(v)));
+    if (!Number.isFinite(n)) unreadable.add(name);
+    return n;
+  };
+
+  const pricing: PricingModel = { ...DEFAULT_PRICING, kind, tiers: [] };
+  (['annualFee', 'monthlyFee', 'purchasePrice', 'maintenancePercent', 'units'] as const).forEach((f) => {
+    if (PRICING_FIELDS[kind].includes(f)) pricing[f] = read(`pricing.${f}`, data[f]);
+    else if (Number.isFinite(numberOf(data[f]))) pricing[f] = numberOf(data[f]);
+  });
+  pricing.tiers = data.tiers.map((tier: unknown, i): VolumeTier => {
+    const t = tier && typeof tier === 'object' ? (tier as { [k: string]: unknown }) : {};
+    return { minUnits: read(`pricing.tiers.${i + 1}.minUnits`, t.minUnits), discountPercent: read(`pricing.tiers.${i + 1}.discountPercent`, t.discountPercent) };
+  });
+
+  const fieldErrors = validatePricing(pricing, m);
+  Object.entries(fieldErrors.fields).forEach(([f, e]) => {
+    if (!unreadable.has(`pricing.${f}`)) errors.push(`pricing.${f}: ${e}`);
+  });
+  fieldErrors.tiers.forEach((tierErrors, i) => Object.entries(tierErrors).forEach(([f, e]) => {
+    if (!unreadable.has(`pricing.tiers.${i + 1}.${f}`)) errors.push(`pricing.tiers.${i + 1}.${f}: ${e}`);
+  }));
+
+  return errors.length ? { ok: false, errors } : { ok: true, pricing };
+}
+
+function readContractYears(raw: unknown, m: ValidationMessages): string | undefined {
+  const n = numberOf(raw);
+  if (isBlank(raw)) return m.fieldMissing('contractYears');
+  if (!Number.isFinite(n)) return m.notANumber('contractYears', String(raw));
+  const e = checkProjectionValue('contractYears', n, m);
+  return e && `contractYears: ${e}`;
+}
+
+/** validateInputs plus the HaaS pricing model and the contract length it was spread over. */
+export function validateState(
+  raw: { [k: string]: unknown },
+  substrate: unknown,
+  pricing: unknown,
+  contractYears: unknown,
+  m: ValidationMessages = EN_MESSAGES,
+): DecodedState {
+  const inputs = validateInputs(raw, substrate, m);
+  const model = readPricing(pricing, m);
+  const yearsError = readContractYears(contractYears, m);
+  if (!inputs.ok || !model.ok || yearsError) {
+    return { ok: false, errors: [...(inputs.ok ? [] : inputs.errors), ...(model.ok ? [] : model.errors), ...(yearsError ? [yearsError] : [])] };
+  }
+  return { ok: true, state: { params: inputs.params, substrate: inputs.substrate, pricing: model.pricing, contractYears: numberOf(contractYears) } };
+}
+
+/** Pricing goes flat into the hash: `pricing` names the kind, tiers read `3:5,5:10` (from units:discount %). */
+export function encodeStateToHash(st: CalculatorState): string {
+  const q = new URLSearchParams({ v: String(STATE_VERSION), substrate: st.substrate });
+  PARAM_KEYS.forEach((key) => q.set(key, String(st.params[key])));
+  q.set('pricing', st.pricing.kind);
+  PRICING_FIELDS[st.pricing.kind].forEach((f) => q.set(f, String(st.pricing[f])));
+  q.set('tiers', st.pricing.tiers.map((tier) => `${tier.minUnits}:${tier.discountPercent}`).join(','));
+  q.set('contractYears', String(st.contractYears));
+  return q.toString();
+}
+
+function pricingFromHash(q: URLSearchParams): unknown {
+  const tiers = q.get('tiers');
+  const pricing: { [k: string]: unknown } = {
+    kind: q.get('pricing'),
+    tiers: tiers === null ? undefined : tiers === '' ? [] : tiers.split(',').map((tier) => {
+      const [minUnits, discountPercent] = tier.split(':');
+      return { minUnits, discountPercent };
+    }),
+  };
+  PRICING_FIELDS[q.get('pricing') as PricingKind]?.forEach((f) => { pricing[f] = q.get(f); });
+  return pricing;
+}
+
+/** Returns null when the hash carries no calculator state. */
+export function decodeStateFromHash(hash: string, m: ValidationMessages = EN_MESSAGES): DecodedState | null {
+  const q = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!q.has('v')) return null;
+  const version = Number(q.get('v'));
+  if (!isSupportedVersion(version)) return { ok: false, errors: [m.unsupportedVersion('link', String(q.get('v')))] };
+  const raw: { [k: string]: unknown } = {};
+  q.forEach((value, key) => { raw[key] = value; });
+  return validateState(
+    migrateParams(raw, version),
+    q.get('substrate'),
+    migratePricing(pricingFromHash(q), raw, version),
+    migrateContractYears(q.get('contractYears'), version),
+    m,
+  );
+}
+
+export function stateToJSON(st: CalculatorState): string {
+  return JSON.stringify({ version: STATE_VERSION, substrate: st.substrate, params: st.params, pricing: st.pricing, contractYears: st.contractYears }, null, 2);
+}
+
+export function stateFromJSON(text: string, m: ValidationMessages = EN_MESSAGES): DecodedState {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { ok: false, errors: [m.notJSON] };
+  }
+  if (!data || typeof data !== 'object') return { ok: false, errors: [m.notCalculatorFile] };
+  if (!isSupportedVersion(data.version)) return { ok: false, errors: [m.unsupportedVersion('file', String(data.version))] };
+  if (!data.params || typeof data.params !== 'object') return { ok: false, errors: [m.fieldMissing('params')] };
+  return validateState(
+    migrateParams(data.params, data.version),
+    data.substrate,
+    migratePricing(data.pricing, data.params, data.version),
+    migrateContractYears(data.contractYears, data.version),
+    m,
+  );
+}
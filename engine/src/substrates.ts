@@ -0,0 +1,92 @@
+/** Film catalog and mass / CO₂e of the saved m². */
+
+import type { ROIResult } from './roi.ts';
+import { csvNumber, readCSV } from './csv.ts';
+import { EN_MESSAGES, SPEC_FIELDS, SPEC_SCHEMA } from './constraints.ts';
+import type { SpecField, ValidationMessages } from './constraints.ts';
+
+export interface SubstrateSpec {
+  name: string;
+  pricePerM2: number; // €/m²
+  thicknessMicron: number; // µm
+  densityGPerCm3: number; // g/cm³
+  co2eKgPerKg: number; // kg CO₂e per kg of film
+}
+
+export interface MaterialSavings {
+  kgPerM2: number;
+  kgCalagePerYear: number;
+  kgTrimPerYear: number;
+  kgTotalPerYear: number;
+  co2eKgPerYear: number;
+}
+
+export const MAX_SUBSTRATE_NAME = 40;
+
+// Typical cradle-to-gate factors for virgin film; replace with supplier data when known.
+export const DEFAULT_SUBSTRATES: SubstrateSpec[] = [
+  { name: 'PETG', pricePerM2: 0.6, thicknessMicron: 50, densityGPerCm3: 1.27, co2eKgPerKg: 3.0 },
+  { name: 'PVC', pricePerM2: 0.45, thicknessMicron: 50, densityGPerCm3: 1.38, co2eKgPerKg: 2.2 },
+  { name: 'OPS', pricePerM2: 0.52, thicknessMicron: 50, densityGPerCm3: 1.05, co2eKgPerKg: 3.4 },
+  { name: 'BOPP', pricePerM2: 0.3, thicknessMicron: 50, densityGPerCm3: 0.91, co2eKgPerKg: 1.9 },
+];
+
+/** Film mass per m²: µm × g/cm³ / 1000 = kg/m². */
+export function massPerM2(spec: SubstrateSpec) {
+  return (spec.thicknessMicron * spec.densityGPerCm3) / 1000;
+}
+
+export function computeMaterialSavings(r: ROIResult, spec: SubstrateSpec): MaterialSavings {
+  const kgPerM2 = massPerM2(spec);
+  const kgCalagePerYear = r.m2CalagePerYear * kgPerM2;
+  const kgTrimPerYear = r.m2TrimPerYear * kgPerM2;
+  const kgTotalPerYear = kgCalagePerYear + kgTrimPerYear;
+  return { kgPerM2, kgCalagePerYear, kgTrimPerYear, kgTotalPerYear, co2eKgPerYear: kgTotalPerYear * spec.co2eKgPerKg };
+}
+
+export function checkSpec(spec: SubstrateSpec, others: SubstrateSpec[], m: ValidationMessages = EN_MESSAGES): string | undefined {
+  const name = spec.name.trim();
+  if (!name) return m.nameRequired;
+  if (name.length > MAX_SUBSTRATE_NAME) return m.nameTooLong(MAX_SUBSTRATE_NAME);
+  if (others.some((o) => o.name === name)) return m.nameTaken(name);
+  for (const f of SPEC_FIELDS) {
+    const { min, max } = SPEC_SCHEMA[f];
+    if (!Number.isFinite(spec[f])) return m.specRequired(f);
+    if (spec[f] < min || spec[f] > max) return m.specRange(f, min, max);
+  }
+  return undefined;
+}
+
+/**
+ * Parses `name,pricePerM2,thicknessMicron,densityGPerCm3,co2eKgPerKg` rows (header required,
+ * columns in any order). Semicolon files may use decimal commas.
+ */
+export function parseCatalogCSV(text: string, m: ValidationMessages = EN_MESSAGES): { specs: SubstrateSpec[]; errors: string[] } {
+  const { header, rows, decimalComma } = readCSV(text);
+  if (header.length === 0) return { specs: [], errors: [m.fileEmpty] };
+  const missing = ['name', ...SPEC_FIELDS].filter((f) => !header.includes(f));
+  if (missing.length) return { specs: [], errors: [m.missingColumns(missing)] };
+
+  const specs: SubstrateSpec[] = [];
+  const errors: string[] = [];
+  rows.forEach(({ line, cell }) => {
+    const num = (f: SpecField) => csvNumber(cell(f), decimalComma);
+    const spec: SubstrateSpec = {
+      name: cell('name'),
+      pricePerM2: num('pricePerM2'),
+      thicknessMicron: num('thicknessMicron'),
+      densityGPerCm3: num('densityGPerCm3'),
+      co2eKgPerKg: num('co2eKgPerKg'),
+    };
+    const e = checkSpec(spec, specs, m);
+    if (e) errors.push(m.csvLine(line, [e]));
+    else specs.push({ ...spec, name: spec.name.trim() });
+  });
+  return { specs, errors };
+}
+
+/** Imported rows replace same-name entries and are appended otherwise. */
+export function mergeCatalog(list: SubstrateSpec[], incoming: SubstrateSpec[]) {
+  const merged = list.map((spec) => incoming.find((n) => n.name === spec.name) ?? spec);
+  return [...merged, ...incoming.filter((n) => !list.some((spec) => spec.name === n.name))];
+}
@@ -0,0 +1,48 @@
+/** Imperial display of the metric inputs; the engine itself only ever computes in metric. */
+
+import type { ROIParams } from './roi.ts';
+import type { SpecField } from './constraints.ts';
+
+export type UnitSystem = 'metric' | 'imperial';
+
+export const M_PER_IN = 0.0254;
+export const M_PER_FT = 0.3048;
+export const M2_PER_MSI = 1000 * M_PER_IN * M_PER_IN; // thousand square inches, 0.64516 m²
+
+/** shown = canonical × factor. Units keep '€' as the currency placeholder. */
+export interface UnitConversion {
+  unit: string;
+  factor: number;
+  step: number; // input step in the shown unit
+}
+
+// Inputs not listed here (counts, %, minutes, €/h…) read the same in both systems.
+export const IMPERIAL_PARAMS: { [K in keyof ROIParams]?: UnitConversion } = {
+  webWidth: { unit: 'in', factor: 1 / M_PER_IN, step: 0.25 },
+  wastePerStopM: { unit: 'ft', factor: 1 / M_PER_FT, step: 10 },
+  speedMPerMin: { unit: 'ft/min', factor: 1 / M_PER_FT, step: 10 },
+  trimReductionMm: { unit: 'in', factor: 1 / (1000 * M_PER_IN), step: 0.01 },
+  substratePrice: { unit: '€/MSI', factor: M2_PER_MSI, step: 0.01 },
+};
+
+export const IMPERIAL_SPECS: { [K in SpecField]?: UnitConversion } = {
+  pricePerM2: { unit: '€/MSI', factor: M2_PER_MSI, step: 0.01 },
+};
+
+export function paramConversion(system: UnitSystem, key: keyof ROIParams): UnitConversion | undefined {
+  return system === 'imperial' ? IMPERIAL_PARAMS[key] : undefined;
+}
+
+export function specConversion(system: UnitSystem, field: SpecField): UnitConversion | undefined {
+  return system === 'imperial' ? IMPERIAL_SPECS[field] : undefined;
+}
+
+/** Saved area in the system's unit: m², or MSI. */
+export function areaIn(system: UnitSystem, m2: number) {
+  return system === 'imperial' ? m2 / M2_PER_MSI : m2;
+}
+
+/** Length in the system's unit: m, or ft. */
+export function lengthIn(system: UnitSystem, m: number) {
+  return system === 'imperial' ? m / M_PER_FT : m;
+}
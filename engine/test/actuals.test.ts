@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, compareActuals, measureActuals, parseProductionCSV } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+// Twelve jobs a day exactly as quoted: 3 stops of 100 m, 7920 m at 165 m/min (60 % of two 8 h shifts).
+function day(date: string, stops = 3) {
+  return Array.from({ length: 12 }, () => `${date},7920,${stops},${stops * 100},48`).join('\n');
+}
+const header = 'date,lengthM,stops,wasteM,runMinutes';
+
+describe('parseProductionCSV', () => {
+  it('reads jobs and reports bad rows by line', () => {
+    const { jobs, errors } = parseProductionCSV(`${header}\n2025-01-06,7920,3,300,48\n2025-02-30,7920,1.5,300,48\n`);
+    assert.equal(jobs.length, 1);
+    assert.deepEqual(errors, ['Line 3: date "2025-02-30" is not YYYY-MM-DD, stops must be a whole number, 0 or more']);
+  });
+
+  it('needs the four log columns; run time is optional', () => {
+    assert.deepEqual(parseProductionCSV('date,lengthM\n2025-01-06,10\n').errors, ['Missing column(s): stops, wasteM']);
+    const { jobs } = parseProductionCSV('date;lengthM;stops;wasteM\n2025-01-06;7920,5;3;300\n');
+    assert.equal(jobs[0].lengthM, 7920.5);
+    assert.ok(Number.isNaN(jobs[0].runMinutes));
+  });
+});
+
+describe('compareActuals', () => {
+  const { jobs } = parseProductionCSV(`${header}\n${day('2025-01-06')}\n${day('2025-01-07')}\n${day('2025-02-03', 2)}\n`);
+  const report = compareActuals(jobs, DEFAULT_PARAMS);
+
+  it('derives the quoted inputs back from a log that matches the quote', () => {
+    assert.ok(report);
+    const january = report.months[0];
+    assert.equal(january.month, '2025-01');
+    assert.equal(january.measures.jobsPerShift, 6);
+    assert.equal(january.measures.stopsPerJob, 3);
+    assert.equal(january.measures.wastePerStopM, 100);
+    assertApprox(january.measures.speedMPerMin, 165);
+    assertApprox(january.measures.uptimePercent, 60);
+    assertApprox(january.result.euroTotal, report.predicted.euroTotal);
+  });
+
+  it('turns fewer logged stops into a higher realised reduction', () => {
+    assert.ok(report);
+    const february = report.months[1];
+    assertApprox(february.params.reductionPercent, (4 / 6) * 100);
+    assert.ok(february.result.euroNet > report.predicted.euroNet);
+    assertApprox(report.overall.measures.stopsPerJob, 8 / 3);
+  });
+
+  it('keeps the quoted speed when the log has no run times', () => {
+    const untimed = parseProductionCSV(`date,lengthM,stops,wasteM\n2025-01-06,${7920 * 6},3,300\n`).jobs;
+    const m = measureActuals(untimed, DEFAULT_PARAMS);
+    assert.ok(Number.isNaN(m.speedMPerMin));
+    assertApprox(m.uptimePercent, 30);
+    assertApprox(compareActuals(untimed, DEFAULT_PARAMS)?.overall.params.speedMPerMin ?? NaN, 165);
+  });
+
+  it('returns null for an empty log', () => {
+    assert.equal(compareActuals([], DEFAULT_PARAMS), null);
+  });
+});
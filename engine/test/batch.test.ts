@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import {
+  DEFAULT_PARAMS,
+  DEFAULT_PRICING,
+  computeROI,
+  evaluateCustomers,
+  formatResultsCSV,
+  readCustomersCSV,
+  readCustomersJSON,
+  stateToJSON,
+} from '../src/index.ts';
+
+describe('batch evaluation', () => {
+  it('evaluates the calculator JSON export, single or as an array', () => {
+    const one = evaluateCustomers(readCustomersJSON(JSON.stringify({ version: 2, customer: 'Acme', substrate: 'PVC', params: DEFAULT_PARAMS })));
+    assert.equal(one.length, 1);
+    assert.ok(one[0].ok);
+    assert.equal(one[0].customer, 'Acme');
+    assert.deepEqual(one[0].result, computeROI(DEFAULT_PARAMS));
+
+    const exported = evaluateCustomers(readCustomersJSON(stateToJSON({ params: DEFAULT_PARAMS, substrate: 'PVC', pricing: DEFAULT_PRICING, contractYears: 3 })));
+    assert.ok(exported[0].ok);
+
+    const versions = evaluateCustomers(readCustomersJSON(JSON.stringify([{ version: 99, params: {} }, { version: '1', params: {} }])));
+    assert.deepEqual(versions.map((res) => !res.ok && res.errors), [['item 1: unsupported version "99"'], ['item 2: unsupported version "1"']]);
+
+    const many = evaluateCustomers(readCustomersJSON(JSON.stringify([{ params: {} }, { params: { daysPerYear: 0 } }])));
+    assert.ok(many[0].ok);
+    assert.ok(!many[1].ok);
+    assert.deepEqual(!many[1].ok && many[1].errors, ['item 2: daysPerYear: Min 1']);
+  });
+
+  it('fills missing CSV columns with defaults and rejects unknown ones', () => {
+    const ok = evaluateCustomers(readCustomersCSV('customer;webWidth;substratePrice\nLabels SA;0,25;0,5\n'));
+    assert.ok(ok[0].ok);
+    assert.equal(ok[0].params.webWidth, 0.25);
+    assert.equal(ok[0].params.jobsPerShift, DEFAULT_PARAMS.jobsPerShift);
+
+    const bad = evaluateCustomers(readCustomersCSV('customer,webwidth\nX,0.3\n'));
+    assert.deepEqual(!bad[0].ok && bad[0].errors, ['line 2: unknown field "webwidth"']);
+  });
+
+  it('writes one CSV row per customer', () => {
+    const csv = formatResultsCSV(evaluateCustomers(readCustomersCSV('customer,jobsPerShift\nA,6\nB,-1\n')));
+    const lines = csv.trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^customer,ok,substrate,webWidth,/);
+    assert.match(lines[2], /^B,false,.*jobsPerShift: Min 1$/);
+  });
+});
+
+describe('CLI', () => {
+  const cli = fileURLToPath(new URL('../src/cli.ts', import.meta.url));
+  const run = (args: string[], input: string) => execFileSync(process.execPath, ['--experimental-strip-types', '--disable-warning=ExperimentalWarning', cli, ...args], { input, encoding: 'utf8' });
+
+  it('reads stdin and writes CSV', () => {
+    const out = run(['-', '--input-format', 'csv', '--format', 'csv'], 'customer,haasPrice\nAcme,25000\n');
+    assert.match(out, /^customer,ok,/);
+    assert.match(out.split('\n')[1], /^Acme,true,PETG,/);
+  });
+
+  it('exits with 1 when a record is rejected', () => {
+    assert.throws(() => run(['-'], '{"params":{"uptimePercent":150}}'), (e: any) => e.status === 1);
+  });
+
+  it('exits with 2 when the output cannot be written', () => {
+    assert.throws(() => run(['-', '--out', '/nonexistent/x.json'], '{"params":{}}'), (e: any) => e.status === 2 && /ENOENT/.test(e.stderr) && !/\n\s+at /.test(e.stderr));
+  });
+});
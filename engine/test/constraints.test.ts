@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, DEFAULT_SUBSTRATES, EN_MESSAGES, PARAM_KEYS, checkSpec, snapReduction, validateParams } from '../src/index.ts';
+
+describe('validateParams', () => {
+  it('accepts the defaults', () => {
+    assert.deepEqual(validateParams(DEFAULT_PARAMS), {});
+  });
+
+  it('covers every ROIParams field', () => {
+    assert.deepEqual([...PARAM_KEYS].sort(), Object.keys(DEFAULT_PARAMS).sort());
+  });
+
+  it('rejects empty, negative, zero-day and fractional integer inputs', () => {
+    const errors = validateParams({ ...DEFAULT_PARAMS, jobsPerShift: -1, daysPerYear: 0, shiftsPerDay: 1.5, substratePrice: NaN });
+    assert.equal(errors.jobsPerShift, 'Min 1');
+    assert.equal(errors.daysPerYear, 'Min 1');
+    assert.equal(errors.shiftsPerDay, 'Whole number only');
+    assert.equal(errors.substratePrice, 'Required');
+  });
+
+  it('rejects a reduction that gives fractional stops and suggests the nearest whole one', () => {
+    const errors = validateParams({ ...DEFAULT_PARAMS, reductionPercent: 45 });
+    assert.match(errors.reductionPercent ?? '', /2\.70 stops avoided\/job; try 50%/);
+  });
+
+  it('rejects stop times that add up to more than the shift', () => {
+    // 3 stops avoided × 6 jobs × 30 min = 540 min > 480
+    const errors = validateParams({ ...DEFAULT_PARAMS, minutesPerStop: 30 });
+    assert.equal(errors.minutesPerStop, 'Stops avoided would free 540 min per 8 h shift');
+  });
+});
+
+describe('validation messages', () => {
+  const fr = {
+    ...EN_MESSAGES,
+    min: (key: string, limit: number) => `${key} ≥ ${String(limit).replace('.', ',')}`,
+    specRange: (field: string, min: number, max: number) => `${field} : ${min} à ${max}`,
+  };
+
+  it('lets the caller word and format errors, with limits in canonical units', () => {
+    assert.equal(validateParams({ ...DEFAULT_PARAMS, webWidth: 0.1 }, fr).webWidth, 'webWidth ≥ 0,2');
+    assert.equal(checkSpec({ ...DEFAULT_SUBSTRATES[0], densityGPerCm3: 9 }, [], fr), 'densityGPerCm3 : 0.5 à 3');
+  });
+
+  it('defaults to English', () => {
+    assert.equal(validateParams({ ...DEFAULT_PARAMS, webWidth: 0.1 }).webWidth, 'Min 0.2 m');
+    assert.equal(checkSpec({ ...DEFAULT_SUBSTRATES[0], densityGPerCm3: 9 }, []), 'Density must be 0.5–3 g/cm³');
+  });
+});
+
+describe('snapReduction', () => {
+  it('snaps to a whole number of stops avoided', () => {
+    assert.equal(snapReduction(45, 6), 50);
+    assert.equal(snapReduction(40, 4), 50);
+  });
+
+  it('leaves the value alone without a baseline', () => {
+    assert.equal(snapReduction(45, 0), 45);
+  });
+});
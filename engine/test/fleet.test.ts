@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, EN_MESSAGES, computeFleet, computeROI } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+describe('computeFleet', () => {
+  const single = computeROI(DEFAULT_PARAMS);
+  const small = { ...DEFAULT_PARAMS, speedMPerMin: 20, jobsPerShift: 1, haasPrice: 500000 };
+  const fleet = computeFleet([
+    { id: 'a', name: 'A', params: DEFAULT_PARAMS },
+    { id: 'b', name: 'B', params: DEFAULT_PARAMS },
+    { id: 'c', name: 'C', params: small },
+    { id: 'd', name: 'D', params: { ...DEFAULT_PARAMS, daysPerYear: 0 } },
+  ]);
+
+  it('totals the valid presses only', () => {
+    assertApprox(fleet.euroTotal, 2 * single.euroTotal + computeROI(small).euroTotal);
+    assert.equal(fleet.haasTotal, 540000);
+    assert.ok(fleet.rows[3].errors.daysPerYear);
+  });
+
+  it('counts the presses that pay back', () => {
+    assert.equal(fleet.payingPresses, 2);
+    assertApprox(fleet.netOfPaying, 2 * single.euroNet);
+  });
+
+  it('gives payback months per press', () => {
+    assertApprox(fleet.rows[0].paybackMonths ?? NaN, (20000 / single.euroTotal) * 12);
+  });
+
+  it('words row errors with the given messages', () => {
+    const fr = { ...EN_MESSAGES, min: () => 'Trop bas' };
+    const worded = computeFleet([{ id: 'd', name: 'D', params: { ...DEFAULT_PARAMS, daysPerYear: 0 } }], fr);
+    assert.equal(worded.rows[0].errors.daysPerYear, 'Trop bas');
+  });
+});
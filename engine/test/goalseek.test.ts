@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, DEFAULT_PRICING, computeProjection, computeROI, goalSeek, haasCost, pricingFor } from '../src/index.ts';
+import type { GoalContract } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+// The page's default contract: ramp-up, escalation and inflation all move the payback month.
+const contract: GoalContract = {
+  projection: { contractYears: 3, substrateInflationPercent: 2, haasEscalationPercent: 2, discountRatePercent: 8, rampUpStartPercent: 50, rampUpMonths: 3 },
+  pricing: DEFAULT_PRICING,
+};
+
+describe('goalSeek', () => {
+  const base = computeROI(DEFAULT_PARAMS);
+
+  it('finds a continuous input that hits the target', () => {
+    const res = goalSeek(DEFAULT_PARAMS, 'substratePrice', 'euroTotal', base.euroTotal + 10000, contract);
+    assert.ok(res.ok);
+    assertApprox(res.achieved, base.euroTotal + 10000);
+    assert.ok(res.value > DEFAULT_PARAMS.substratePrice);
+  });
+
+  it('rounds counted inputs to the first value that reaches the target', () => {
+    const target = base.euroNet + 1;
+    const res = goalSeek(DEFAULT_PARAMS, 'jobsPerShift', 'euroNet', target, contract);
+    assert.ok(res.ok);
+    assert.equal(res.value, DEFAULT_PARAMS.jobsPerShift + 1);
+    assert.ok(res.achieved >= target);
+  });
+
+  it('keeps the stop reduction on whole stops avoided', () => {
+    const target = computeROI({ ...DEFAULT_PARAMS, reductionPercent: 60 }).euroNet;
+    const res = goalSeek(DEFAULT_PARAMS, 'reductionPercent', 'euroNet', target, contract);
+    assert.ok(res.ok);
+    assertApprox(res.value, (4 * 100) / 6);
+  });
+
+  it('moves the stop count to the next one with whole stops avoided', () => {
+    const res = goalSeek(DEFAULT_PARAMS, 'stopsPerJobBaseline', 'euroNet', base.euroNet + 1, contract);
+    assert.ok(res.ok);
+    assert.equal(res.value, 8);
+  });
+
+  it('solves the payback month the projection shows, lower being better', () => {
+    const paybackAt = (haasPrice: number) =>
+      computeProjection({ ...DEFAULT_PARAMS, haasPrice }, contract.projection, haasCost(pricingFor(DEFAULT_PRICING, haasPrice, 3))).paybackMonth;
+    const res = goalSeek(DEFAULT_PARAMS, 'haasPrice', 'paybackMonths', 6, contract);
+    assert.ok(res.ok);
+    assert.equal(res.achieved, 6);
+    assert.equal(paybackAt(res.value), 6);
+    assert.equal(paybackAt(res.value * 1.001), 7);
+  });
+
+  it('rounds counted inputs to the first payback month that reaches the target', () => {
+    const month = computeProjection(DEFAULT_PARAMS, contract.projection, haasCost(DEFAULT_PRICING)).paybackMonth ?? Infinity;
+    const res = goalSeek(DEFAULT_PARAMS, 'jobsPerShift', 'paybackMonths', month - 1, contract);
+    assert.ok(res.ok && Number.isInteger(res.value));
+    assert.ok(res.achieved <= month - 1);
+    const before = computeProjection({ ...DEFAULT_PARAMS, jobsPerShift: res.value - 1 }, contract.projection, haasCost(DEFAULT_PRICING)).paybackMonth;
+    assert.ok(before === null || before > month - 1);
+  });
+
+  it('reports the best reachable value when the range falls short', () => {
+    const res = goalSeek(DEFAULT_PARAMS, 'reductionPercent', 'euroNet', 1e6, contract);
+    assert.equal(res.ok, false);
+    assert.ok(!res.ok && res.reason === 'unreachable');
+    assert.equal(res.value, 100);
+    assertApprox(res.achieved, computeROI({ ...DEFAULT_PARAMS, reductionPercent: 100 }).euroNet);
+  });
+
+  it('says when every value in the range reaches the target', () => {
+    const res = goalSeek(DEFAULT_PARAMS, 'reductionPercent', 'euroNet', 0, contract);
+    assert.ok(res.ok && res.anyValue);
+    assert.equal(res.value, 0);
+  });
+
+  it('flags a solution that breaks another input', () => {
+    const timed = { ...DEFAULT_PARAMS, minutesPerStop: 5, operatorHourlyCost: 35, marginPerPressHour: 50 };
+    const target = computeROI({ ...timed, minutesPerStop: 30 }).euroNet;
+    const res = goalSeek(timed, 'minutesPerStop', 'euroNet', target, contract);
+    assert.ok(!res.ok && res.reason === 'invalid');
+    assert.ok(res.errors.minutesPerStop);
+  });
+});
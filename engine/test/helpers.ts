@@ -0,0 +1,7 @@
+import assert from 'node:assert/strict';
+
+/** Relative comparison, as the old in-UI self-tests did (0.1 % by default). */
+export function assertApprox(actual: number, expected: number, tolerancePct = 0.001) {
+  const tol = Math.abs(expected) * tolerancePct;
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${actual} ≈ ${expected} (±${tol})`);
+}
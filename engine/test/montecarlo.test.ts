@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, DEFAULT_UNCERTAINTY, checkDist, mulberry32, runMonteCarlo, sampleParams, sampleTriangular, summarizeNets } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+describe('sampling', () => {
+  it('repeats the sequence for a seed', () => {
+    const a = mulberry32(7);
+    const b = mulberry32(7);
+    for (let i = 0; i < 5; i++) assert.equal(a(), b());
+  });
+
+  it('maps u to the triangular bounds and mean', () => {
+    const d = { min: 0, likely: 3, max: 9 };
+    assert.equal(sampleTriangular(d, 0), 0);
+    assertApprox(sampleTriangular(d, 1 - 1e-12), 9, 0.001);
+    const rng = mulberry32(1);
+    let sum = 0;
+    for (let i = 0; i < 20000; i++) sum += sampleTriangular(d, rng());
+    assertApprox(sum / 20000, 4, 0.02);
+  });
+
+  it('draws whole stops per job and avoided, and leaves continuous drivers alone', () => {
+    const rng = mulberry32(3);
+    const samples = Array.from({ length: 200 }, () => sampleParams(DEFAULT_PARAMS, DEFAULT_UNCERTAINTY, rng));
+    assert.ok(samples.every((s) => Number.isInteger(s.stopsPerJobBaseline)));
+    const avoided = samples.map((s) => (s.stopsPerJobBaseline * s.reductionPercent) / 100);
+    assert.ok(avoided.every((a) => Math.abs(a - Math.round(a)) < 1e-9));
+    assert.ok(samples.some((s) => !Number.isInteger(s.uptimePercent)));
+    assert.deepEqual([...new Set(samples.map((s) => s.stopsPerJobBaseline))].sort(), [4, 5, 6, 7, 8]);
+  });
+
+  it('checks min ≤ likely ≤ max within the schema range', () => {
+    assert.equal(checkDist('uptimePercent', { min: 50, likely: 40, max: 60 }), 'Needs min ≤ likely ≤ max');
+    assert.equal(checkDist('uptimePercent', { min: 50, likely: 60, max: 120 }), 'Stay within 0–100');
+  });
+});
+
+describe('runMonteCarlo', () => {
+  const p = { ...DEFAULT_PARAMS, haasPrice: 200000 };
+
+  it('is reproducible for a seed and orders its percentiles', async () => {
+    const a = await runMonteCarlo(p, DEFAULT_UNCERTAINTY, 2000, 42, () => {}, () => false);
+    const b = await runMonteCarlo(p, DEFAULT_UNCERTAINTY, 2000, 42, () => {}, () => false);
+    assert.ok(a && b);
+    assert.deepEqual(a, b);
+    assert.equal(a.runs, 2000);
+    assert.ok(a.p10 <= a.p50 && a.p50 <= a.p90);
+    assert.ok(a.probBeatHaas > 0 && a.probBeatHaas < 1);
+    assert.equal(a.histogram.reduce((n, bin) => n + bin.count, 0), 2000);
+  });
+
+  it('stops when cancelled', async () => {
+    assert.equal(await runMonteCarlo(p, DEFAULT_UNCERTAINTY, 5000, 1, () => {}, () => true), null);
+  });
+});
+
+describe('summarizeNets', () => {
+  it('interpolates percentiles', () => {
+    const s = summarizeNets([-10, 0, 10, 20, 30, 40, 50, 60, 70, 80, 90], 0);
+    assert.equal(s.p50, 40);
+    assert.equal(s.p10, 0);
+    assertApprox(s.probBeatHaas, 9 / 11);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, DEFAULT_PRICING, annualEquivalent, computeProjection, computeROI, haasCost, pricingFor, pricingValid, tierDiscount, validatePricing } from '../src/index.ts';
+import type { ProjectionParams } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+const flat: ProjectionParams = {
+  contractYears: 3,
+  substrateInflationPercent: 0,
+  haasEscalationPercent: 0,
+  discountRatePercent: 8,
+  rampUpStartPercent: 100,
+  rampUpMonths: 0,
+};
+
+describe('HaaS pricing models', () => {
+  it('keeps the fixed annual offer as the default', () => {
+    const cost = haasCost(DEFAULT_PRICING);
+    assert.deepEqual(cost, { upfront: 0, perYear: DEFAULT_PARAMS.haasPrice, billing: 'annual', discountPercent: 0 });
+    assert.equal(annualEquivalent(cost, 3), DEFAULT_PARAMS.haasPrice);
+  });
+
+  it('bills a subscription twelve times a year', () => {
+    assert.equal(haasCost({ ...DEFAULT_PRICING, kind: 'subscription', monthlyFee: 1500 }).perYear, 18000);
+  });
+
+  it('spreads a purchase over the contract and adds maintenance', () => {
+    const cost = haasCost({ ...DEFAULT_PRICING, kind: 'purchase', purchasePrice: 60000, maintenancePercent: 10 });
+    assert.equal(cost.upfront, 60000);
+    assert.equal(cost.perYear, 6000);
+    assert.equal(annualEquivalent(cost, 3), 26000);
+  });
+
+  it('applies the highest volume tier reached', () => {
+    assert.equal(tierDiscount(DEFAULT_PRICING.tiers, 2), 0);
+    assert.equal(tierDiscount(DEFAULT_PRICING.tiers, 4), 5);
+    assert.equal(tierDiscount([...DEFAULT_PRICING.tiers].reverse(), 8), 10);
+    assertApprox(haasCost(DEFAULT_PRICING, 5).perYear, 18000);
+  });
+
+  it('checks only the fields of the chosen model, and every tier', () => {
+    assert.ok(pricingValid(validatePricing({ ...DEFAULT_PRICING, purchasePrice: NaN })));
+    const errors = validatePricing({ ...DEFAULT_PRICING, kind: 'purchase', purchasePrice: NaN, tiers: [{ minUnits: 1.5, discountPercent: 95 }] });
+    assert.equal(errors.fields.purchasePrice, 'Required');
+    assert.deepEqual(errors.tiers, [{ minUnits: 'Whole number only', discountPercent: 'Stay within 0–90' }]);
+  });
+
+  it('puts a purchase in the first year of the projection', () => {
+    const cost = haasCost({ ...DEFAULT_PRICING, kind: 'purchase', purchasePrice: 60000, maintenancePercent: 10 });
+    const params = { ...DEFAULT_PARAMS, haasPrice: annualEquivalent(cost, 3) };
+    const proj = computeProjection(params, flat, cost);
+    assert.equal(proj.cashFlows[0], -66000);
+    assert.deepEqual(proj.years.map((yr) => yr.haas), [66000, 6000, 6000]);
+    assertApprox(proj.totalNet, computeProjection(params, flat).totalNet);
+  });
+
+  it('sets the fee of each model to a yearly figure', () => {
+    (['annual', 'subscription', 'purchase'] as const).forEach((kind) => {
+      const model = pricingFor({ ...DEFAULT_PRICING, kind, units: 5 }, 30000, 4);
+      assert.equal(model.kind, kind);
+      assertApprox(annualEquivalent(haasCost(model), 4), 30000);
+    });
+  });
+
+  it('bills a subscription month by month', () => {
+    const cost = haasCost({ ...DEFAULT_PRICING, kind: 'subscription', monthlyFee: 15000 });
+    assert.equal(cost.billing, 'monthly');
+    const proj = computeProjection(DEFAULT_PARAMS, flat, cost);
+    const savings = computeROI(DEFAULT_PARAMS).euroTotal;
+    assert.equal(proj.paybackMonth, 1);
+    assert.ok(proj.cashFlows[0] === 0); // nothing billed in advance
+    proj.cashFlows.slice(1).forEach((cf) => assertApprox(cf, savings - 180000));
+    assert.deepEqual(proj.years.map((yr) => yr.haas), [180000, 180000, 180000]);
+  });
+});
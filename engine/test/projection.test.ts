@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, computeProjection, computeROI, npvAt, validateProjection } from '../src/index.ts';
+import type { ProjectionParams } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+const flat: ProjectionParams = {
+  contractYears: 3,
+  substrateInflationPercent: 0,
+  haasEscalationPercent: 0,
+  discountRatePercent: 8,
+  rampUpStartPercent: 100,
+  rampUpMonths: 0,
+};
+
+describe('computeProjection', () => {
+  const base = computeROI(DEFAULT_PARAMS);
+
+  it('repeats the one-year result when nothing is indexed or ramped', () => {
+    const proj = computeProjection(DEFAULT_PARAMS, flat);
+    assert.equal(proj.years.length, 3);
+    proj.years.forEach((yr) => assertApprox(yr.savings, base.euroTotal));
+    assertApprox(proj.totalNet, 3 * base.euroNet);
+  });
+
+  it('bills HaaS in advance, so the cash flows start with the first fee', () => {
+    const proj = computeProjection(DEFAULT_PARAMS, flat);
+    assert.equal(proj.cashFlows.length, 4);
+    assert.equal(proj.cashFlows[0], -DEFAULT_PARAMS.haasPrice);
+    assertApprox(proj.cashFlows[3], base.euroTotal);
+  });
+
+  it('returns an IRR at which the NPV is zero', () => {
+    const proj = computeProjection(DEFAULT_PARAMS, flat);
+    assert.ok(proj.irr !== null);
+    assert.ok(Math.abs(npvAt(proj.cashFlows, proj.irr)) < 1);
+  });
+
+  it('ramps year 1 and indexes later years', () => {
+    const proj = computeProjection(DEFAULT_PARAMS, { ...flat, rampUpStartPercent: 50, rampUpMonths: 3, substrateInflationPercent: 2, haasEscalationPercent: 2 });
+    // Months 1–3 run at 50 %, 66.7 % and 83.3 % of full savings.
+    assertApprox(proj.years[0].savings, (base.euroTotal / 12) * (0.5 + 2 / 3 + 5 / 6 + 9));
+    assertApprox(proj.years[1].savings, base.euroTotal * 1.02);
+    assertApprox(proj.years[2].haas, DEFAULT_PARAMS.haasPrice * 1.02 ** 2);
+  });
+
+  it('reports no payback when the contract never breaks even', () => {
+    const proj = computeProjection({ ...DEFAULT_PARAMS, haasPrice: 1000000 }, flat);
+    assert.equal(proj.paybackMonth, null);
+    assert.ok(proj.npv < 0);
+  });
+
+  it('finds the first month with a non-negative cumulative net', () => {
+    const haasPrice = base.euroTotal / 2; // paid back after six months of savings
+    const proj = computeProjection({ ...DEFAULT_PARAMS, haasPrice }, flat);
+    assert.equal(proj.paybackMonth, 6);
+  });
+});
+
+describe('validateProjection', () => {
+  it('accepts the calculator defaults', () => {
+    assert.deepEqual(validateProjection({ ...flat, substrateInflationPercent: 2, haasEscalationPercent: 2, rampUpStartPercent: 50, rampUpMonths: 3 }), {});
+  });
+
+  it('reports empty, out-of-range and fractional inputs instead of projecting them', () => {
+    const errors = validateProjection({ ...flat, discountRatePercent: -100, substrateInflationPercent: NaN, rampUpMonths: 18, contractYears: 2.5 });
+    assert.deepEqual(errors, {
+      contractYears: 'Whole number only',
+      substrateInflationPercent: 'Required',
+      discountRatePercent: 'Stay within 0–50',
+      rampUpMonths: 'Stay within 0–12',
+    });
+  });
+});
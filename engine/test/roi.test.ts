@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, computeROI } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+describe('computeROI', () => {
+  const r = computeROI(DEFAULT_PARAMS);
+  const printedPerYear = 165 * 0.6 * (8 * 60 * 2) * 250;
+
+  it('counts jobs per day and per year', () => {
+    assert.equal(r.jobsPerDay, 12);
+    assert.equal(r.jobsPerYear, 3000);
+  });
+
+  it('computes makeready m²/year from whole stops avoided', () => {
+    assertApprox(r.m2CalagePerYear, 0.33 * 100 * (6 * 0.5) * (6 * 2 * 250));
+  });
+
+  it('computes the −3 mm trim saving from printed length', () => {
+    assertApprox(r.printedLengthPerYear, printedPerYear);
+    assertApprox(r.m2TrimPerYear, 0.003 * printedPerYear);
+  });
+
+  it('scales the trim saving with trimReductionMm', () => {
+    const r5 = computeROI({ ...DEFAULT_PARAMS, trimReductionMm: 5 });
+    assertApprox(r5.m2TrimPerYear, 0.005 * printedPerYear);
+  });
+
+  it('prices m² at the substrate price and nets the HaaS fee', () => {
+    assertApprox(r.euroCalage, r.m2CalagePerYear * 0.6);
+    assertApprox(r.euroTrim, r.m2TrimPerYear * 0.6);
+    assertApprox(r.euroTotal, r.euroCalage + r.euroTrim + r.euroLabour + r.euroCapacity);
+    assertApprox(r.euroNet, r.euroTotal - 20000);
+  });
+
+  it('values press time only once it is entered', () => {
+    assert.equal(r.hoursFreedPerYear + r.euroLabour + r.euroCapacity, 0);
+    assertApprox(r.euroTotal, r.euroCalage + r.euroTrim);
+  });
+
+  it('values the press time freed by avoided stops', () => {
+    const timed = computeROI({ ...DEFAULT_PARAMS, minutesPerStop: 5, operatorHourlyCost: 35, marginPerPressHour: 50 });
+    // 3 stops avoided × 3000 jobs × 5 min = 750 h
+    assertApprox(timed.hoursFreedPerYear, 750);
+    assertApprox(timed.euroLabour, 750 * 35);
+    assertApprox(timed.euroCapacity, 750 * 50);
+    // 8 h shifts of 6 jobs: one job per 80 min
+    assertApprox(timed.extraJobsPerYear, 562.5);
+  });
+
+  it('leaves material savings alone when time is not valued', () => {
+    const r0 = computeROI({ ...DEFAULT_PARAMS, minutesPerStop: 0, operatorHourlyCost: 35, marginPerPressHour: 50 });
+    assert.equal(r0.euroLabour + r0.euroCapacity + r0.extraJobsPerYear, 0);
+    assertApprox(r0.euroTotal, r.euroCalage + r.euroTrim);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, computeROI, computeSensitivity, solveParam } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+describe('computeSensitivity', () => {
+  const rows = computeSensitivity(DEFAULT_PARAMS, 20);
+
+  it('ranks drivers by swing in euroNet', () => {
+    rows.slice(1).forEach((row, i) => assert.ok(rows[i].swing >= row.swing));
+  });
+
+  it('moves each driver by the requested range', () => {
+    const speed = rows.find((row) => row.key === 'speedMPerMin');
+    assert.ok(speed);
+    assertApprox(speed.low, 132);
+    assertApprox(speed.high, 198);
+    assertApprox(speed.netHigh, computeROI({ ...DEFAULT_PARAMS, speedMPerMin: 198 }).euroNet);
+  });
+
+  it('keeps counted drivers on values the calculator accepts', () => {
+    const byKey = (key: string) => rows.find((row) => row.key === key);
+    assert.deepEqual([byKey('jobsPerShift')?.low, byKey('jobsPerShift')?.high], [5, 7]);
+    assert.deepEqual([byKey('stopsPerJobBaseline')?.low, byKey('stopsPerJobBaseline')?.high], [4, 8]);
+    assertApprox(byKey('reductionPercent')?.low ?? NaN, 100 / 3);
+    const days = computeSensitivity({ ...DEFAULT_PARAMS, haasPrice: 100000 }, 20).find((row) => row.key === 'daysPerYear');
+    assert.ok(days?.breakEven && Number.isInteger(days.breakEven));
+    assert.ok(computeROI({ ...DEFAULT_PARAMS, haasPrice: 100000, daysPerYear: days.breakEven }).euroNet >= 0);
+    assert.ok(computeROI({ ...DEFAULT_PARAMS, haasPrice: 100000, daysPerYear: days.breakEven - 1 }).euroNet < 0);
+  });
+
+  it('clamps to the schema range', () => {
+    const uptime = computeSensitivity({ ...DEFAULT_PARAMS, uptimePercent: 90 }, 20).find((row) => row.key === 'uptimePercent');
+    assert.equal(uptime?.high, 100);
+  });
+
+  it('gives the HaaS price at which net is zero', () => {
+    const haas = rows.find((row) => row.key === 'haasPrice');
+    assert.ok(haas?.breakEven);
+    assertApprox(haas.breakEven, computeROI(DEFAULT_PARAMS).euroTotal);
+  });
+});
+
+describe('solveParam', () => {
+  it('finds the minimum stop reduction for a target', () => {
+    const p = { ...DEFAULT_PARAMS, haasPrice: 150000 };
+    const v = solveParam(p, 'reductionPercent', (r) => r.euroNet, 0);
+    assert.ok(v !== null);
+    assertApprox(computeROI({ ...p, reductionPercent: v }).euroNet + 150000, 150000, 0.0001);
+  });
+
+  it('returns null when the range cannot reach the target', () => {
+    assert.equal(solveParam(DEFAULT_PARAMS, 'reductionPercent', (r) => r.euroNet, 0), null);
+  });
+});
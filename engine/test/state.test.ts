@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  DEFAULT_PRICING,
+  EN_MESSAGES,
+  annualEquivalent,
+  decodeStateFromHash,
+  encodeStateToHash,
+  haasCost,
+  stateFromJSON,
+  stateToJSON,
+} from '../src/index.ts';
+
+// Time savings are off by default; set them so the round trips carry every field.
+const timed = { ...DEFAULT_PARAMS, minutesPerStop: 5, operatorHourlyCost: 35, marginPerPressHour: 50 };
+const subscription = { ...DEFAULT_PRICING, kind: 'subscription' as const, monthlyFee: 1500, units: 3 };
+const plain = { params: DEFAULT_PARAMS, substrate: 'PETG', pricing: DEFAULT_PRICING, contractYears: 3 };
+// A purchase spread over 5 years, with haasPrice as the calculator shows it.
+const purchase = { ...DEFAULT_PRICING, kind: 'purchase' as const, tiers: [] };
+const bought = { params: { ...timed, haasPrice: annualEquivalent(haasCost(purchase), 5) }, substrate: 'PETG', pricing: purchase, contractYears: 5 };
+
+describe('URL hash state', () => {
+  it('round-trips params, substrate and pricing', () => {
+    const st = { params: timed, substrate: 'PVC', pricing: subscription, contractYears: 4 };
+    assert.deepEqual(decodeStateFromHash('#' + encodeStateToHash(st)), { ok: true, state: st });
+  });
+
+  it('keeps the contract length a purchase is spread over', () => {
+    const decoded = decodeStateFromHash('#' + encodeStateToHash(bought));
+    assert.deepEqual(decoded, { ok: true, state: bought });
+    assert.equal(annualEquivalent(haasCost(decoded.state.pricing), decoded.state.contractYears), bought.params.haasPrice);
+    assert.deepEqual(decodeStateFromHash('#' + encodeStateToHash({ ...bought, contractYears: 12 })), {
+      ok: false,
+      errors: ['contractYears: Stay within 1–10'],
+    });
+  });
+
+  it('opens links from before v5 on a 3-year contract', () => {
+    const v4 = decodeStateFromHash(encodeStateToHash(bought).replace('v=5', 'v=4').replace('&contractYears=5', ''));
+    assert.ok(v4?.ok);
+    assert.equal(v4.state.contractYears, 3);
+  });
+
+  it('ignores hashes without calculator state', () => {
+    assert.equal(decodeStateFromHash('#section-2'), null);
+  });
+
+  it('reports missing, non-numeric and out-of-range values instead of using 0', () => {
+    const hash = encodeStateToHash(plain)
+      .replace('jobsPerShift=6', 'jobsPerShift=')
+      .replace('uptimePercent=60', 'uptimePercent=160')
+      .replace('substratePrice=0.6', 'substratePrice=abc');
+    const decoded = decodeStateFromHash(hash);
+    assert.ok(decoded && !decoded.ok);
+    assert.deepEqual(decoded.errors, [
+      'jobsPerShift is missing',
+      'substratePrice: "abc" is not a number',
+      'uptimePercent: Max 100%',
+    ]);
+  });
+
+  it('migrates v1 links that predate the configurable trim', () => {
+    const v1 = encodeStateToHash(plain).replace('v=5', 'v=1').replace('&trimReductionMm=3', '');
+    const decoded = decodeStateFromHash(v1);
+    assert.ok(decoded?.ok);
+    assert.equal(decoded.state.params.trimReductionMm, 3);
+  });
+
+  it('migrates v2 links without time savings to zero', () => {
+    const v2 = decodeStateFromHash('#v=2&substrate=PETG&webWidth=0.33&jobsPerShift=6&shiftsPerDay=2&daysPerYear=250&stopsPerJobBaseline=6&reductionPercent=50&wastePerStopM=100&speedMPerMin=165&uptimePercent=60&hoursPerShift=8&trimReductionMm=3&substratePrice=0.6&haasPrice=20000');
+    assert.ok(v2?.ok);
+    assert.deepEqual(v2.state.params, { ...DEFAULT_PARAMS, minutesPerStop: 0, operatorHourlyCost: 0, marginPerPressHour: 0 });
+  });
+
+  it('reads the HaaS figure of v3 links as an annual fee', () => {
+    const v3 = encodeStateToHash({ ...plain, pricing: subscription }).replace('v=5', 'v=3').replace(/&pricing=.*$/, '');
+    const decoded = decodeStateFromHash(v3);
+    assert.ok(decoded?.ok);
+    assert.deepEqual(decoded.state.pricing, { ...DEFAULT_PRICING, annualFee: DEFAULT_PARAMS.haasPrice });
+  });
+
+  it('checks the pricing fields of the chosen model', () => {
+    const pricing = { ...subscription, tiers: [{ minUnits: 3, discountPercent: 95 }] };
+    const hash = encodeStateToHash({ ...plain, pricing }).replace('monthlyFee=1500', 'monthlyFee=');
+    const decoded = decodeStateFromHash(hash);
+    assert.ok(decoded && !decoded.ok);
+    assert.deepEqual(decoded.errors, ['pricing.monthlyFee is missing', 'pricing.tiers.1.discountPercent: Stay within 0–90']);
+    assert.deepEqual(decodeStateFromHash(hash.replace('pricing=subscription', 'pricing=lease')), { ok: false, errors: ['pricing: "lease" is not a pricing model'] });
+  });
+
+  it('rejects unknown versions', () => {
+    assert.deepEqual(decodeStateFromHash('#v=9'), { ok: false, errors: ['Unsupported link version "9"'] });
+  });
+});
+
+describe('JSON file state', () => {
+  it('round-trips through the export format', () => {
+    const st = { params: timed, substrate: 'OPS', pricing: subscription, contractYears: 4 };
+    assert.deepEqual(stateFromJSON(stateToJSON(st)), { ok: true, state: st });
+    assert.deepEqual(stateFromJSON(stateToJSON(bought)), { ok: true, state: bought });
+  });
+
+  it('rejects files that are not calculator exports', () => {
+    assert.deepEqual(stateFromJSON('not json'), { ok: false, errors: ['File is not valid JSON'] });
+    assert.deepEqual(stateFromJSON('{"version":2}'), { ok: false, errors: ['params is missing'] });
+  });
+
+  it("words errors with the caller's messages", () => {
+    const m = { ...EN_MESSAGES, notJSON: 'JSON invalide', fieldMissing: (field: string) => `${field} : manquant` };
+    assert.deepEqual(stateFromJSON('not json', m), { ok: false, errors: ['JSON invalide'] });
+    const empty = stateFromJSON('{"version":3,"substrate":"PETG","params":{}}', m);
+    assert.ok(!empty.ok && empty.errors[0] === 'webWidth : manquant');
+  });
+});
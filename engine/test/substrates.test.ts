@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  DEFAULT_SUBSTRATES,
+  computeImpact,
+  computeMaterialSavings,
+  computeROI,
+  massPerM2,
+  mergeCatalog,
+  parseCatalogCSV,
+} from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+const petg = DEFAULT_SUBSTRATES[0];
+
+describe('substrate mass', () => {
+  it('converts µm and g/cm³ to kg/m²', () => {
+    assertApprox(massPerM2(petg), 0.0635);
+  });
+
+  it('weighs the saved m² and applies the CO₂e factor', () => {
+    const r = computeROI(DEFAULT_PARAMS);
+    const m = computeMaterialSavings(r, petg);
+    assertApprox(m.kgTotalPerYear, (r.m2CalagePerYear + r.m2TrimPerYear) * 0.0635);
+    assertApprox(m.co2eKgPerYear, m.kgTotalPerYear * petg.co2eKgPerKg);
+  });
+});
+
+describe('computeImpact', () => {
+  it('reports tonnes and contract totals', () => {
+    const m = computeMaterialSavings(computeROI(DEFAULT_PARAMS), petg);
+    const impact = computeImpact(m, 3);
+    assertApprox(impact.tonnesPerYear, m.kgTotalPerYear / 1000);
+    assertApprox(impact.co2eTonnesOverContract, (3 * m.co2eKgPerYear) / 1000);
+    assert.equal(impact.equivalents.length, 4);
+  });
+});
+
+describe('parseCatalogCSV', () => {
+  it('reads comma files with columns in any order', () => {
+    const { specs, errors } = parseCatalogCSV('name,co2eKgPerKg,pricePerM2,thicknessMicron,densityGPerCm3\nPLA,1.2,0.7,40,1.24\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(specs, [{ name: 'PLA', pricePerM2: 0.7, thicknessMicron: 40, densityGPerCm3: 1.24, co2eKgPerKg: 1.2 }]);
+  });
+
+  it('reads semicolon files with decimal commas and reports bad lines', () => {
+    const csv = 'name;pricePerM2;thicknessMicron;densityGPerCm3;co2eKgPerKg\r\nPE;0,25;60;0,92;1,8\nBad;;1;1;1\n';
+    const { specs, errors } = parseCatalogCSV(csv);
+    assert.equal(specs.length, 1);
+    assert.equal(specs[0].pricePerM2, 0.25);
+    assert.deepEqual(errors, ['Line 3: Price is required']);
+  });
+
+  it('requires every column', () => {
+    assert.deepEqual(parseCatalogCSV('name,price\nA,1').errors, ['Missing column(s): pricePerM2, thicknessMicron, densityGPerCm3, co2eKgPerKg']);
+  });
+});
+
+describe('mergeCatalog', () => {
+  it('replaces same-name materials and appends new ones', () => {
+    const merged = mergeCatalog(DEFAULT_SUBSTRATES, [{ ...petg, pricePerM2: 0.65 }, { ...petg, name: 'rPET' }]);
+    assert.equal(merged.length, DEFAULT_SUBSTRATES.length + 1);
+    assert.equal(merged[0].pricePerM2, 0.65);
+    assert.equal(merged[merged.length - 1].name, 'rPET');
+  });
+});
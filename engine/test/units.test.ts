@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, M2_PER_MSI, areaIn, checkParam, computeROI, lengthIn, paramConversion, specConversion } from '../src/index.ts';
+import { assertApprox } from './helpers.ts';
+
+describe('imperial units', () => {
+  it('uses the usual narrow-web references', () => {
+    assertApprox(M2_PER_MSI, 0.64516);
+    assertApprox(0.33 * (paramConversion('imperial', 'webWidth')?.factor ?? NaN), 12.992);
+    assertApprox(3 * (paramConversion('imperial', 'trimReductionMm')?.factor ?? NaN), 0.11811);
+    assertApprox(165 * (paramConversion('imperial', 'speedMPerMin')?.factor ?? NaN), 541.34);
+  });
+
+  it('prices per MSI at the same cost per area', () => {
+    const perMsi = 0.6 * (paramConversion('imperial', 'substratePrice')?.factor ?? NaN);
+    const r = computeROI(DEFAULT_PARAMS);
+    assertApprox(areaIn('imperial', r.m2CalagePerYear) * perMsi, r.euroCalage);
+    assert.equal(specConversion('imperial', 'pricePerM2')?.unit, paramConversion('imperial', 'substratePrice')?.unit);
+  });
+
+  it('leaves metric and unit-free inputs alone', () => {
+    assert.equal(paramConversion('metric', 'webWidth'), undefined);
+    assert.equal(paramConversion('imperial', 'jobsPerShift'), undefined);
+    assert.equal(areaIn('metric', 12), 12);
+    assertApprox(lengthIn('imperial', 1000), 3280.84);
+  });
+
+  it('accepts lengths typed in feet once converted back to metres', () => {
+    const factor = paramConversion('imperial', 'wastePerStopM')?.factor ?? NaN;
+    [300, 330, 328.084].forEach((ft) => {
+      assert.equal(checkParam('wastePerStopM', ft / factor), undefined);
+    });
+  });
+});
@@ -0,0 +1,727 @@
+/**
+ * UI and PDF wording in English and French, plus the number formats and currencies a
+ * user can pick. The engine stays in canonical units (EUR, metric); only text lives here.
+ */
+
+import { PARAM_SCHEMA, PRICING_SCHEMA, PROJECTION_SCHEMA, SPEC_SCHEMA, englishMessages } from './engine/src/index.ts';
+import type { GoalOutput, ImpactEquivalent, PricingKind, ValueFormatter } from './engine/src/index.ts';
+
+export type Lang = 'en' | 'fr';
+export type Currency = 'EUR' | 'GBP' | 'USD' | 'CHF';
+
+export const LANGS: Array<{ code: Lang; label: string; numberLocale: string }> = [
+  { code: 'en', label: 'EN', numberLocale: 'en-GB' },
+  { code: 'fr', label: 'FR', numberLocale: 'fr-FR' },
+];
+
+// Number formats of the markets we quote in; the language picks a default.
+export const NUMBER_LOCALES: Array<{ code: string; region: string }> = [
+  { code: 'en-GB', region: 'UK' },
+  { code: 'fr-FR', region: 'France' },
+  { code: 'de-DE', region: 'Deutschland' },
+  { code: 'es-ES', region: 'España' },
+  { code: 'de-CH', region: 'Schweiz' },
+  { code: 'en-US', region: 'US' },
+];
+
+export const CURRENCIES: Currency[] = ['EUR', 'GBP', 'USD', 'CHF'];
+
+// Starting points only; the user enters the rate of the day (units per 1 EUR).
+export const DEFAULT_RATES: { [C in Currency]: number } = { EUR: 1, GBP: 0.85, USD: 1.08, CHF: 0.94 };
+
+export type { ValueFormatter };
+
+// English field names are the engine schema labels, so scripts and the page say the same thing.
+function labelsOf<K extends string>(schema: { [F in K]: { label: string } }) {
+  return Object.fromEntries(Object.entries<{ label: string }>(schema).map(([k, c]) => [k, c.label])) as { [F in K]: string };
+}
+
+export interface MethodValues {
+  trim: string; // e.g. "−3 mm"
+  trimWidth: string; // the trim as a web width, e.g. "0.003 m"
+  area: string; // 'm²' or 'MSI'
+  car: number;
+  flight: number;
+  tree: number;
+  household: number;
+}
+
+const en = {
+  brandBar: 'Minimal • Precise',
+  hero: 'Calculate savings with clarity.',
+  heroSub: (trim: string) => `Makeready cuts and ${trim} web gains.`,
+  singlePress: 'Single press',
+  fleet: 'Fleet',
+  start: 'Start',
+  exportPdf: 'Export PDF',
+  dismiss: 'Dismiss',
+  reset: 'Reset',
+  required: 'Required',
+  wholeNumber: 'Whole number only',
+
+  params: labelsOf(PARAM_SCHEMA),
+  perYear: 'year',
+  perMonth: 'month',
+  specs: labelsOf(SPEC_SCHEMA),
+
+  validation: englishMessages,
+  fixInputs: (labels: string) => `Fix the highlighted inputs first: ${labels}.`,
+
+  // Banners
+  loadedFrom: (source: string) => `Inputs loaded from ${source}.`,
+  rejected: (source: string, errors: string) => `${source} rejected: ${errors}.`,
+  link: 'Link',
+  template: 'Template',
+  linkCopied: 'Link copied to clipboard.',
+  linkInBar: 'Link is in the address bar; copy it from there.',
+  materialsImported: (file: string, n: number) => `${file}: ${n} material(s) imported.`,
+  materialsPartly: (file: string, n: number, bad: number, errors: string) => `${file}: ${n} material(s) imported, ${bad} rejected: ${errors}.`,
+  templateLoaded: (file: string) => `Proposal template loaded from ${file}.`,
+  templateErrors: {
+    notObject: 'Template must be a JSON object',
+    sectionsNotObject: 'sections must be an object',
+    unknownSection: (name: string) => `sections: unknown section "${name}"`,
+    sectionNotBoolean: (name: string) => `sections.${name} must be true or false`,
+    unknownField: (key: string) => `unknown field "${key}"`,
+    notText: (key: string) => `${key} must be text`,
+    logoFormat: 'logoDataUrl must be a PNG or JPEG data URL',
+    logoTooLarge: 'Logo is too large (max ~300 KB)',
+    accentColor: 'accentColor must look like #1a2b3c',
+    tooLong: (key: string, max: number) => `${key} is longer than ${max} characters`,
+  },
+  unreadable: (file: string) => `${file} could not be read.`,
+  setDateFirst: 'Set the proposal date first.',
+  pdfFailed: "PDF export failed. Install 'jspdf'.",
+
+  // Fleet
+  addPress: 'Add press from current inputs',
+  fleetNote: 'Each press keeps its own inputs and HaaS line. Edit the main columns here, or set the calculator below and use "Use current inputs" on a row.',
+  noPresses: 'No presses yet. Set the calculator for one line, then add it.',
+  press: 'Press',
+  pressName: 'Press name',
+  netPerYear: 'Net/year',
+  invalidInputs: 'Invalid inputs',
+  noSavings: 'No savings',
+  paybackMonths: (n: string) => `Payback ${n} mo`,
+  useCurrent: 'Use current inputs',
+  useCurrentFor: (name: string) => `Use current inputs for ${name}`,
+  deleteItem: (name: string) => `Delete ${name}`,
+  fleetTitle: (n: number, currency: string) => `Fleet — ${n} presses, ${currency}/year`,
+  savings: 'Savings',
+  savedArea: (unit: string) => `Saved ${unit}`,
+  payingPresses: 'Presses that pay back',
+  nOfM: (n: number, m: number) => `${n} of ${m}`,
+  netPayingOnly: 'Net, paying presses only',
+
+  // Inputs
+  production: 'Production',
+  current: 'Current:',
+  jobsPerYear: 'Jobs/year',
+  makeready: 'Makeready',
+  stopsAvoidedPerJob: 'Stops avoided/job',
+  fromAt: (stops: number, pct: string) => `from ${stops} at ${pct}`,
+  makereadySavedArea: (unit: string) => `Makeready saved ${unit}/year`,
+  areaPerStop: (unit: string) => `${unit}/stop`,
+  pressTime: 'Press time',
+  hoursFreed: 'Hours freed/year',
+  extraJobs: 'Extra jobs/year',
+  stopsTimes: (stops: string, time: string) => `${stops} stops × ${time}`,
+  atJobLength: 'at the current job length',
+  marginNote: 'Margin is counted after operator cost, so labour and extra capacity add up.',
+  web: (trim: string) => `Web ${trim}`,
+  trimPercent: 'Trim reduction (% of web)',
+  trimAt: (mm: string, width: string) => `= ${mm} at ${width}`,
+  printedPerYear: 'Printed/year',
+  trimSavedArea: (trim: string, unit: string) => `${trim} saved ${unit}/year`,
+  economics: 'Economics',
+  substrate: 'Substrate',
+  catalogHint: (unit: string) => `Catalog ${unit} set on click. You can override.`,
+  notInCatalog: (name: string) => `${name} is not in the catalog; kg and CO₂e are not shown.`,
+  haasOffer: 'DeltaOne HaaS',
+  spreadNote: (years: number) => `Purchase spread over ${years} years here; the projection bills it in year 1.`,
+
+  // HaaS pricing
+  pricingTitle: 'HaaS pricing',
+  pricingKinds: { annual: 'Annual fee', subscription: 'Monthly subscription', purchase: 'Purchase + maintenance' } as { [K in PricingKind]: string },
+  pricingFields: labelsOf(PRICING_SCHEMA),
+  pricingLine: (kind: string, terms: string) => `${kind}: ${terms}`,
+  purchaseTerms: (price: string, pct: string) => `${price} + ${pct}/year maintenance`,
+  volumeDiscount: (pct: string, units: number) => `−${pct} volume discount (${units} units)`,
+  volumeTiers: 'Volume tiers',
+  tiersNote: 'Each unit gets the discount of the highest tier reached. Fleet pricing uses the number of presses.',
+  addTier: 'Add tier',
+  deleteTier: (units: number) => `Delete tier from ${units} units`,
+  priceFleet: 'Price all presses with the HaaS model',
+
+  // Language & currency
+  region: 'Language, units & currency',
+  language: 'Language',
+  numberFormat: 'Number format',
+  currency: 'Currency',
+  units: 'Units',
+  unitSystems: { metric: 'Metric', imperial: 'Imperial (in, ft, MSI)' },
+  exchangeRate: (currency: string) => `Rate (1 EUR = … ${currency})`,
+  rateError: 'Enter a rate above 0',
+  regionNote: 'Prices, lengths and results are converted for display; links, files and scenarios stay in EUR and metric. Film mass and CO₂e stay in kg.',
+
+  // Proposal
+  proposal: 'Proposal',
+  customer: 'Customer',
+  companyName: 'Company name',
+  salesRep: 'Sales rep',
+  date: 'Date',
+  quoteNumber: 'Quote number',
+  logo: 'Logo',
+  textLogo: (brand: string) => `${brand} (text)`,
+  upload: 'Upload',
+  remove: 'Remove',
+  accentColour: 'Accent colour',
+  pages: 'Pages',
+  sections: { sustainability: 'Sustainability', sensitivity: 'Sensitivity', methodology: 'Methodology', inputs: 'Inputs appendix' },
+  importTemplate: 'Import template',
+  downloadTemplate: 'Download template',
+  restoreDefault: 'Restore default',
+  templateNote: 'Saved in this browser. Edit the downloaded JSON to change brand name, cover texts, contact line, colour, logo and pages; empty texts use the selected language.',
+  file: 'File:',
+  exportProposal: 'Export proposal',
+
+  // Catalog
+  catalog: 'Substrate catalog',
+  material: 'Material',
+  materialName: 'Material name',
+  addMaterial: 'Add material',
+  importCsv: 'Import CSV',
+  restoreDefaults: 'Restore defaults',
+  catalogNote: (columns: string) => `Saved in this browser. CSV columns: name, ${columns}; prices in EUR.`,
+  newMaterial: (n: number) => `Material ${n}`,
+
+  // Contract
+  contract: 'Contract',
+  years: 'Years',
+  projectionFields: labelsOf(PROJECTION_SCHEMA),
+  rampUpStartNote: (pct: string) => `${pct} of full savings in month 1`,
+
+  // Sensitivity
+  sensitivity: 'Sensitivity',
+  sensitivityIntro: (base: string) => `Net vs HaaS when each driver moves ± around its current value. Base ${base}.`,
+  driver: 'Driver',
+  netVsHaas: 'Net vs HaaS',
+  breakEven: 'Break-even',
+  notReached: 'not reached',
+
+  // Goal seek
+  goalSeek: 'Goal seek',
+  goalIntro: 'Pick a target and the one input that may change; every other input stays as entered.',
+  goalOutputs: { euroNet: 'Net vs HaaS', euroTotal: 'Total savings', paybackMonths: 'Payback (months)' } as { [K in GoalOutput]: string },
+  goalInput: 'Input to change',
+  goalNeeded: (input: string, value: string, achieved: string) => `${input} needs to be ${value}, which gives ${achieved}.`,
+  goalAnyValue: (input: string, value: string, achieved: string) => `Reached across the whole range of ${input}: even ${value} gives ${achieved}.`,
+  goalUnreachable: (input: string, min: string, max: string, value: string, achieved: string) =>
+    `Not reachable by changing ${input} alone. Within ${min}–${max} the best is ${achieved}, at ${value}.`,
+  goalInvalid: (value: string, errors: string) => `${value} would reach it, but the inputs would no longer be valid: ${errors}.`,
+  goalApply: 'Use this value',
+
+  // Actual vs predicted
+  actualsTitle: 'Actual vs predicted',
+  actualsIntro: 'Import the press log after installation: one job per row with date, lengthM, stops, wasteM and, if logged, runMinutes. Measured values replace the quoted ones and the ROI is recalculated; every other input stays as quoted.',
+  importLog: 'Import production log',
+  clearLog: 'Clear log',
+  logImported: (file: string, n: number) => `${file}: ${n} job(s) imported.`,
+  logPartly: (file: string, n: number, bad: number, errors: string) => `${file}: ${n} job(s) imported, ${bad} rejected: ${errors}.`,
+  noLog: 'No production log loaded.',
+  actualsQuote: 'Compare with quote',
+  chooseQuote: 'Choose a saved scenario…',
+  importQuote: 'Import quote JSON',
+  quoteLoaded: (file: string) => `Quote loaded from ${file}; the log is compared with it.`,
+  noQuote: 'Choose the quote to compare with: a saved scenario or an exported quote JSON. It stays fixed while you edit the inputs.',
+  month: 'Month',
+  quoted: 'Quote',
+  wholeLog: (jobs: number, days: number) => `Whole log (${jobs} jobs, ${days} days)`,
+  stopsWithDeltaOne: 'Stops/job with DeltaOne',
+  actualsNote: 'Logged stops are those left with DeltaOne; against the quoted baseline they give the realised stop reduction. Without run times the quoted speed is kept (—). Savings and net are per year, as quoted.',
+
+  // Monte Carlo
+  risk: 'Risk (Monte Carlo)',
+  riskIntro: 'Triangular distribution (min / likely / max) for each uncertain driver; stops per job and stops avoided are drawn as whole numbers. Other inputs stay as entered.',
+  distParts: { min: 'min', likely: 'likely', max: 'max' },
+  runs: 'Runs',
+  seed: 'Seed',
+  likelyFromInputs: 'Likely = current inputs',
+  runSimulation: 'Run simulation',
+  running: (pct: string) => `Running… ${pct}`,
+  staleRun: 'Inputs changed since this run. Run again to update.',
+  beatsHaas: 'Beats HaaS',
+  distribution: 'Distribution of net vs HaaS',
+  binRuns: (from: string, to: string, n: string) => `${from} – ${to}: ${n} runs`,
+  mcCaption: (runs: string, seed: number, mean: string) => `Net vs HaaS, ${runs} runs, seed ${seed}, mean ${mean}`,
+
+  // Scenarios and sharing
+  scenarios: 'Scenarios',
+  scenarioPlaceholder: 'e.g. Customer case',
+  save: 'Save',
+  noScenarios: 'No saved scenarios yet. Save the current inputs under a name.',
+  load: 'Load',
+  compareNote: (max: number) => `Tick 2 to ${max} scenarios to compare. Deltas are against the first ticked.`,
+  scenarioDefault: (n: number) => `Scenario ${n}`,
+  share: 'Share',
+  copyLink: 'Copy link',
+  exportJson: 'Export JSON',
+  importJson: 'Import JSON',
+  shareNote: 'The link and the file carry every input, the substrate and the HaaS pricing model. Out-of-range values are rejected.',
+  comparison: 'Scenario comparison',
+  kpi: 'KPI',
+  kpis: {
+    jobsPerYear: 'Jobs/year',
+    m2CalagePerYear: 'Makeready',
+    m2TrimPerYear: 'Trim',
+    euroCalage: 'Makeready',
+    euroTrim: 'Trim',
+    hoursFreedPerYear: 'Hours freed',
+    euroLabour: 'Labour',
+    euroCapacity: 'Extra capacity',
+    euroTotal: 'Total',
+    euroNet: 'Net vs HaaS',
+  } as { [k: string]: string },
+
+  // Results
+  resultsArea: (unit: string) => `Results — ${unit}/year`,
+  resultsMoney: (currency: string) => `Results — ${currency}/year`,
+  results: 'Results',
+  total: 'Total',
+  labour: 'Labour',
+  extraCapacity: 'Extra capacity',
+  impactTitle: (substrate: string) => `Impact — ${substrate}/year`,
+  filmSaved: 'Film saved',
+  co2eAvoided: 'CO₂e avoided',
+  co2eOver: (years: number) => `CO₂e over ${years} years`,
+  eachYear: 'Each year, about the same as',
+  equivalents: {
+    car: ['Car travel avoided', 'km'],
+    flight: ['Paris–New York return flights', 'flights'],
+    tree: ['Trees absorbing for a year', 'trees'],
+    household: ['Household electricity', 'homes/year'],
+  } as { [K in ImpactEquivalent['key']]: [string, string] },
+  resultsYears: (years: number) => `Results — ${years} years`,
+  year: 'Year',
+  net: 'Net',
+  cumulative: 'Cumul.',
+  npvAt: (rate: string) => `NPV @ ${rate}`,
+  irr: 'IRR',
+  payback: 'Payback',
+  paybackAfter: (months: number) => `> ${months} months`,
+  paybackMonth: (month: number) => `Month ${month}`,
+  notAvailable: 'n/a',
+
+  // PDF
+  pdf: {
+    coverTitle: 'DeltaOne ROI proposal',
+    coverSubtitle: 'Narrow-web flexo • makeready, web width and press time savings',
+    disclaimer: 'Estimates based on the inputs in the appendix. Actual savings depend on the press, the job mix and the substrate.',
+    preparedFor: 'Prepared for',
+    preparedBy: 'Prepared by',
+    quote: 'Quote',
+    savingsPerYear: 'Savings/year',
+    netPerYear: 'Net vs HaaS/year',
+    resultsSub: (trim: string) => `Narrow-web flexo • Savings from makeready, ${trim} web width and press time`,
+    totalSavings: 'Total savings',
+    resultsPerYear: (currency: string) => `Results (${currency}/year)`,
+    timeFreed: 'Press time freed',
+    timeFreedValue: (hours: string, jobs: string) => `${hours} h/year • +${jobs} jobs/year`,
+    projection: (years: number) => `Projection (${years} years)`,
+    yearLine: (year: number, savings: string, haas: string) => `Year ${year}: savings ${savings} − HaaS ${haas}`,
+    cumulativeNet: 'Cumulative net',
+    specLine: (name: string, micron: string, density: string, kgPerM2: string, factor: string) => `${name}: ${micron} µm, ${density} g/cm³ (${kgPerM2} kg/m²), ${factor} kg CO₂e/kg`,
+    materialSaved: 'Material saved per year',
+    sensitivityTitle: (range: number) => `Sensitivity of net vs HaaS (±${range}%)`,
+    sensitivityBase: (base: string, range: number) => `Base: ${base}/year. Bars show net at −${range}% and +${range}% of each driver.`,
+    breakEvenTitle: 'Break-even (net vs HaaS = 0)',
+    methodology: 'Methodology',
+    appendix: 'Appendix — Inputs',
+    contractYears: (years: number) => `${years} years`,
+    substrateInflation: 'Substrate inflation',
+    haasEscalation: 'HaaS escalation',
+    discountRate: 'Discount rate',
+    rampUp: 'Ramp-up',
+    perYearPct: (pct: string) => `${pct}/year`,
+    rampUpValue: (pct: string, months: number) => `${pct} → 100% over ${months} months`,
+  },
+
+  method: {
+    label: 'Method',
+    headings: { material: 'Material', time: 'Press time', projection: 'Net and projection', sensitivity: 'Sensitivity', sustainability: 'Sustainability' },
+    material: (v: MethodValues) => `Area (${v.area}) = width × length. Makeready area = web width × waste/stop × stops avoided/job × jobs/year. ${v.trim} area = ${v.trimWidth} × printed length, where printed length = speed × uptime × press minutes/year. Money = area × substrate price.`,
+    time: 'Hours freed = stops avoided × time/stop. Labour = hours × operator cost. Extra capacity = hours × contribution margin per press hour; the margin is taken after operator cost, so the two lines add up. Extra jobs = hours freed ÷ the current press time per job.',
+    projection: 'Net = total savings − HaaS cost per year, after any volume discount; a purchase counts as its price spread over the contract plus maintenance. Over the contract, savings accrue monthly, ramped in year 1 and indexed on substrate inflation; an annual fee is billed yearly in advance, a subscription month by month, both escalating each year, and a purchase is paid in full at the start. NPV discounts those cash flows at the stated rate; IRR is the rate at which NPV = 0; payback is the first month the cumulative net turns positive.',
+    sensitivity: "Each driver is moved ± the stated range around its value with the others fixed, and ranked by the swing in net. Break-even solves net = 0 within the driver's valid range.",
+    sustainability: (v: MethodValues) => `kg = m² × thickness × density. CO₂e = kg × the material's cradle-to-gate factor from the substrate catalog. Equivalents use rounded public averages: car ${v.car} kg/km, Paris–New York return flight ${v.flight} kg, tree ${v.tree} kg/year, EU household electricity ${v.household} kg/year. Figures support CSRD reporting but are not a certified LCA.`,
+  },
+};
+
+export type Messages = typeof en;
+
+const fr: Messages = {
+  brandBar: 'Minimal • Précis',
+  hero: 'Calculez vos économies, clairement.',
+  heroSub: (trim) => `Moins de calage et ${trim} de laize.`,
+  singlePress: 'Une machine',
+  fleet: 'Parc',
+  start: 'Commencer',
+  exportPdf: 'Exporter le PDF',
+  dismiss: 'Fermer',
+  reset: 'Réinitialiser',
+  required: 'Obligatoire',
+  wholeNumber: 'Nombre entier uniquement',
+
+  params: {
+    webWidth: 'Laize',
+    jobsPerShift: 'Travaux/équipe',
+    shiftsPerDay: 'Équipes/jour',
+    daysPerYear: 'Jours/an',
+    stopsPerJobBaseline: 'Arrêts/travail',
+    reductionPercent: 'Réduction des arrêts',
+    wastePerStopM: 'Gâche/arrêt',
+    minutesPerStop: 'Durée/arrêt',
+    speedMPerMin: 'Vitesse',
+    uptimePercent: 'Taux de marche',
+    hoursPerShift: 'Heures/équipe',
+    trimReductionMm: 'Gain de laize',
+    substratePrice: 'Prix du support',
+    operatorHourlyCost: 'Coût conducteur',
+    marginPerPressHour: 'Marge/heure machine',
+    haasPrice: 'HaaS',
+  },
+  perYear: 'an',
+  perMonth: 'mois',
+  specs: { pricePerM2: 'Prix', thicknessMicron: 'Épaisseur', densityGPerCm3: 'Densité', co2eKgPerKg: 'CO₂e' },
+
+  validation: (f) => ({
+    required: 'Obligatoire',
+    wholeNumber: 'Nombre entier uniquement',
+    min: (key, limit) => `Min. ${f.param(key, limit)}`,
+    max: (key, limit) => `Max. ${f.param(key, limit)}`,
+    fractionalStops: (avoided, suggested) => `Donne ${f.num(avoided)} arrêts évités/travail ; essayez ${f.param('reductionPercent', suggested)}`,
+    stopTimeOverShift: (minutes, hours) => `Les arrêts évités libéreraient ${Math.round(minutes)} min sur une équipe de ${hours} h`,
+    nameRequired: 'Le nom est obligatoire',
+    nameTooLong: (max) => `Le nom dépasse ${max} caractères`,
+    nameTaken: (name) => `« ${name} » existe déjà`,
+    specRequired: (field) => `${fr.specs[field]} : obligatoire`,
+    specRange: (field, min, max) => `${fr.specs[field]} : de ${f.spec(field, min)} à ${f.spec(field, max)}`,
+    distRequired: 'Min., probable et max. sont obligatoires',
+    distOrder: 'Il faut min. ≤ probable ≤ max.',
+    distRange: (key, min, max) => `Rester entre ${f.param(key, min)} et ${f.param(key, max)}`,
+    pricingRange: (field, min, max) => `Rester entre ${f.pricing(field, min)} et ${f.pricing(field, max)}`,
+    projectionRange: (key, min, max) => `Rester entre ${f.projection(key, min)} et ${f.projection(key, max)}`,
+    fieldMissing: (field) => `${field} : manquant`,
+    notANumber: (field, value) => `${field} : « ${value} » n'est pas un nombre`,
+    notAMaterial: (value) => `substrate : « ${value} » n'est pas un nom de matière`,
+    notAPricingModel: (value) => `pricing : « ${value} » n'est pas un modèle de prix`,
+    unsupportedVersion: (source, version) => `Version de ${source === 'link' ? 'lien' : 'fichier'} non prise en charge « ${version} »`,
+    notJSON: "Le fichier n'est pas du JSON valide",
+    notCalculatorFile: 'Le fichier ne contient pas de données du calculateur',
+    fileEmpty: 'Le fichier est vide',
+    missingColumns: (columns) => `Colonne(s) manquante(s) : ${columns.join(', ')}`,
+    csvLine: (line, problems) => `Ligne ${line} : ${problems.join(', ')}`,
+    logDate: (value) => `date « ${value} » : format AAAA-MM-JJ attendu`,
+    logNegative: (column) => `${column} doit être 0 ou plus`,
+    logStops: 'stops doit être un nombre entier, 0 ou plus',
+    logRunMinutes: 'runMinutes doit être supérieur à 0',
+  }),
+  fixInputs: (labels) => `Corrigez d'abord les champs signalés : ${labels}.`,
+
+  loadedFrom: (source) => `Données chargées depuis ${source}.`,
+  rejected: (source, errors) => `${source} refusé : ${errors}.`,
+  link: 'Lien',
+  template: 'Modèle',
+  linkCopied: 'Lien copié dans le presse-papiers.',
+  linkInBar: "Le lien est dans la barre d'adresse ; copiez-le depuis celle-ci.",
+  materialsImported: (file, n) => `${file} : ${n} matière(s) importée(s).`,
+  materialsPartly: (file, n, bad, errors) => `${file} : ${n} matière(s) importée(s), ${bad} refusée(s) : ${errors}.`,
+  templateLoaded: (file) => `Modèle de proposition chargé depuis ${file}.`,
+  templateErrors: {
+    notObject: 'Le modèle doit être un objet JSON',
+    sectionsNotObject: 'sections doit être un objet',
+    unknownSection: (name) => `sections : section inconnue « ${name} »`,
+    sectionNotBoolean: (name) => `sections.${name} doit valoir true ou false`,
+    unknownField: (key) => `champ inconnu « ${key} »`,
+    notText: (key) => `${key} doit être du texte`,
+    logoFormat: 'logoDataUrl doit être une data URL PNG ou JPEG',
+    logoTooLarge: 'Logo trop lourd (max. ~300 Ko)',
+    accentColor: 'accentColor doit ressembler à #1a2b3c',
+    tooLong: (key, max) => `${key} dépasse ${max} caractères`,
+  },
+  unreadable: (file) => `Impossible de lire ${file}.`,
+  setDateFirst: "Renseignez d'abord la date de la proposition.",
+  pdfFailed: "Échec de l'export PDF. Installez 'jspdf'.",
+
+  addPress: 'Ajouter une machine avec les valeurs actuelles',
+  fleetNote: 'Chaque machine garde ses propres valeurs et sa ligne HaaS. Modifiez les colonnes principales ici, ou réglez le calculateur ci-dessous puis « Reprendre les valeurs actuelles » sur une ligne.',
+  noPresses: 'Aucune machine. Réglez le calculateur pour une ligne, puis ajoutez-la.',
+  press: 'Machine',
+  pressName: 'Nom de la machine',
+  netPerYear: 'Net/an',
+  invalidInputs: 'Valeurs invalides',
+  noSavings: "Pas d'économies",
+  paybackMonths: (n) => `Retour ${n} mois`,
+  useCurrent: 'Reprendre les valeurs actuelles',
+  useCurrentFor: (name) => `Reprendre les valeurs actuelles pour ${name}`,
+  deleteItem: (name) => `Supprimer ${name}`,
+  fleetTitle: (n, currency) => `Parc — ${n} machines, ${currency}/an`,
+  savings: 'Économies',
+  savedArea: (unit) => `${unit} économisés`,
+  payingPresses: 'Machines rentables',
+  nOfM: (n, m) => `${n} sur ${m}`,
+  netPayingOnly: 'Net, machines rentables seules',
+
+  production: 'Production',
+  current: 'Actuel :',
+  jobsPerYear: 'Travaux/an',
+  makeready: 'Calage',
+  stopsAvoidedPerJob: 'Arrêts évités/travail',
+  fromAt: (stops, pct) => `sur ${stops} à ${pct}`,
+  makereadySavedArea: (unit) => `${unit} de calage économisés/an`,
+  areaPerStop: (unit) => `${unit}/arrêt`,
+  pressTime: 'Temps machine',
+  hoursFreed: 'Heures libérées/an',
+  extraJobs: 'Travaux en plus/an',
+  stopsTimes: (stops, time) => `${stops} arrêts × ${time}`,
+  atJobLength: 'à la durée actuelle des travaux',
+  marginNote: 'La marge est comptée après le coût conducteur : main-d’œuvre et capacité en plus s’additionnent.',
+  web: (trim) => `Laize ${trim}`,
+  trimPercent: 'Gain de laize (% de la laize)',
+  trimAt: (mm, width) => `= ${mm} pour ${width}`,
+  printedPerYear: 'Imprimé/an',
+  trimSavedArea: (trim, unit) => `${unit} économisés/an (${trim})`,
+  economics: 'Économie',
+  substrate: 'Support',
+  catalogHint: (unit) => `Prix catalogue en ${unit} au clic. Modifiable.`,
+  notInCatalog: (name) => `${name} n'est pas au catalogue ; kg et CO₂e ne sont pas affichés.`,
+  haasOffer: 'DeltaOne HaaS',
+  spreadNote: (years) => `Achat réparti ici sur ${years} ans ; la projection le facture la 1re année.`,
+
+  pricingTitle: 'Tarification HaaS',
+  pricingKinds: { annual: 'Redevance annuelle', subscription: 'Abonnement mensuel', purchase: 'Achat + maintenance' },
+  pricingFields: {
+    annualFee: 'Redevance annuelle',
+    monthlyFee: 'Mensualité',
+    purchasePrice: "Prix d'achat",
+    maintenancePercent: 'Maintenance/an',
+    units: 'Unités proposées',
+    minUnits: 'À partir de',
+    discountPercent: 'Remise',
+  },
+  pricingLine: (kind, terms) => `${kind} : ${terms}`,
+  purchaseTerms: (price, pct) => `${price} + maintenance ${pct}/an`,
+  volumeDiscount: (pct, units) => `remise volume −${pct} (${units} unités)`,
+  volumeTiers: 'Paliers de volume',
+  tiersNote: "Chaque unité reçoit la remise du palier le plus élevé atteint. La tarification de parc utilise le nombre de machines.",
+  addTier: 'Ajouter un palier',
+  deleteTier: (units) => `Supprimer le palier à partir de ${units} unités`,
+  priceFleet: 'Tarifer toutes les machines avec le modèle HaaS',
+
+  region: 'Langue, unités et devise',
+  language: 'Langue',
+  numberFormat: 'Format des nombres',
+  currency: 'Devise',
+  units: 'Unités',
+  unitSystems: { metric: 'Métriques', imperial: 'Impériales (in, ft, MSI)' },
+  exchangeRate: (currency) => `Taux (1 EUR = … ${currency})`,
+  rateError: 'Saisissez un taux supérieur à 0',
+  regionNote: "Prix, longueurs et résultats sont convertis pour l'affichage ; liens, fichiers et scénarios restent en EUR et en métrique. Masse de film et CO₂e restent en kg.",
+
+  proposal: 'Proposition',
+  customer: 'Client',
+  companyName: 'Raison sociale',
+  salesRep: 'Commercial',
+  date: 'Date',
+  quoteNumber: 'N° de devis',
+  logo: 'Logo',
+  textLogo: (brand) => `${brand} (texte)`,
+  upload: 'Importer',
+  remove: 'Retirer',
+  accentColour: "Couleur d'accent",
+  pages: 'Pages',
+  sections: { sustainability: 'Durabilité', sensitivity: 'Sensibilité', methodology: 'Méthodologie', inputs: 'Annexe des données' },
+  importTemplate: 'Importer un modèle',
+  downloadTemplate: 'Télécharger le modèle',
+  restoreDefault: 'Modèle par défaut',
+  templateNote: 'Enregistré dans ce navigateur. Modifiez le JSON téléchargé pour changer marque, textes de couverture, contact, couleur, logo et pages ; les textes vides suivent la langue choisie.',
+  file: 'Fichier :',
+  exportProposal: 'Exporter la proposition',
+
+  catalog: 'Catalogue des supports',
+  material: 'Matière',
+  materialName: 'Nom de la matière',
+  addMaterial: 'Ajouter une matière',
+  importCsv: 'Importer un CSV',
+  restoreDefaults: 'Valeurs par défaut',
+  catalogNote: (columns) => `Enregistré dans ce navigateur. Colonnes CSV : name, ${columns} ; prix en EUR.`,
+  newMaterial: (n) => `Matière ${n}`,
+
+  contract: 'Contrat',
+  years: 'Années',
+  projectionFields: {
+    contractYears: 'Contrat (années)',
+    substrateInflationPercent: 'Inflation du support',
+    haasEscalationPercent: 'Indexation HaaS',
+    discountRatePercent: "Taux d'actualisation",
+    rampUpStartPercent: 'Démarrage',
+    rampUpMonths: 'Montée en charge (mois)',
+  },
+  rampUpStartNote: (pct) => `${pct} des économies pleines au mois 1`,
+
+  sensitivity: 'Sensibilité',
+  sensitivityIntro: (base) => `Net vs HaaS quand chaque facteur varie de ± autour de sa valeur actuelle. Base ${base}.`,
+  driver: 'Facteur',
+  netVsHaas: 'Net vs HaaS',
+  breakEven: "Point d'équilibre",
+  notReached: 'non atteint',
+
+  goalSeek: 'Recherche de valeur cible',
+  goalIntro: 'Choisissez une cible et la seule donnée qui peut changer ; toutes les autres restent telles que saisies.',
+  goalOutputs: { euroNet: 'Net vs HaaS', euroTotal: 'Économies totales', paybackMonths: 'Retour (mois)' },
+  goalInput: 'Donnée à faire varier',
+  goalNeeded: (input, value, achieved) => `${input} doit valoir ${value}, ce qui donne ${achieved}.`,
+  goalAnyValue: (input, value, achieved) => `Atteint sur toute la plage de ${input} : même ${value} donne ${achieved}.`,
+  goalUnreachable: (input, min, max, value, achieved) =>
+    `Inatteignable en ne changeant que ${input}. Entre ${min} et ${max}, le mieux est ${achieved}, à ${value}.`,
+  goalInvalid: (value, errors) => `${value} l'atteindrait, mais les données ne seraient plus valides : ${errors}.`,
+  goalApply: 'Utiliser cette valeur',
+
+  actualsTitle: 'Réel vs prévu',
+  actualsIntro: "Importez le journal machine après l'installation : un travail par ligne avec date, lengthM, stops, wasteM et, s'il est relevé, runMinutes. Les valeurs mesurées remplacent celles du devis et le ROI est recalculé ; les autres données restent celles du devis.",
+  importLog: 'Importer le journal de production',
+  clearLog: 'Effacer le journal',
+  logImported: (file, n) => `${file} : ${n} travail(aux) importé(s).`,
+  logPartly: (file, n, bad, errors) => `${file} : ${n} travail(aux) importé(s), ${bad} refusé(s) : ${errors}.`,
+  noLog: 'Aucun journal de production chargé.',
+  actualsQuote: 'Comparer au devis',
+  chooseQuote: 'Choisir un scénario enregistré…',
+  importQuote: 'Importer un devis JSON',
+  quoteLoaded: (file) => `Devis chargé depuis ${file} ; le journal y est comparé.`,
+  noQuote: 'Choisissez le devis de référence : un scénario enregistré ou un devis JSON exporté. Il reste fixe pendant que vous modifiez les données.',
+  month: 'Mois',
+  quoted: 'Devis',
+  wholeLog: (jobs, days) => `Journal complet (${jobs} travaux, ${days} jours)`,
+  stopsWithDeltaOne: 'Arrêts/travail avec DeltaOne',
+  actualsNote: "Les arrêts relevés sont ceux qui restent avec DeltaOne ; rapportés à la référence du devis, ils donnent la réduction d'arrêts réelle. Sans temps de marche, la vitesse du devis est conservée (—). Économies et net sont annuels, comme dans le devis.",
+
+  risk: 'Risque (Monte Carlo)',
+  riskIntro: 'Loi triangulaire (min. / probable / max.) pour chaque facteur incertain ; les arrêts par travail et les arrêts évités sont tirés en nombres entiers. Les autres valeurs restent telles que saisies.',
+  distParts: { min: 'min.', likely: 'probable', max: 'max.' },
+  runs: 'Tirages',
+  seed: 'Graine',
+  likelyFromInputs: 'Probable = valeurs actuelles',
+  runSimulation: 'Lancer la simulation',
+  running: (pct) => `En cours… ${pct}`,
+  staleRun: 'Les valeurs ont changé depuis ce calcul. Relancez pour mettre à jour.',
+  beatsHaas: 'Dépasse le HaaS',
+  distribution: 'Distribution du net vs HaaS',
+  binRuns: (from, to, n) => `${from} – ${to} : ${n} tirages`,
+  mcCaption: (runs, seed, mean) => `Net vs HaaS, ${runs} tirages, graine ${seed}, moyenne ${mean}`,
+
+  scenarios: 'Scénarios',
+  scenarioPlaceholder: 'ex. Cas client',
+  save: 'Enregistrer',
+  noScenarios: 'Aucun scénario. Enregistrez les valeurs actuelles sous un nom.',
+  load: 'Charger',
+  compareNote: (max) => `Cochez 2 à ${max} scénarios à comparer. Les écarts sont calculés par rapport au premier coché.`,
+  scenarioDefault: (n) => `Scénario ${n}`,
+  share: 'Partager',
+  copyLink: 'Copier le lien',
+  exportJson: 'Exporter en JSON',
+  importJson: 'Importer un JSON',
+  shareNote: 'Le lien et le fichier contiennent toutes les valeurs, le support et le modèle de prix HaaS. Les valeurs hors limites sont refusées.',
+  comparison: 'Comparaison des scénarios',
+  kpi: 'Indicateur',
+  kpis: {
+    jobsPerYear: 'Travaux/an',
+    m2CalagePerYear: 'Calage',
+    m2TrimPerYear: 'Laize',
+    euroCalage: 'Calage',
+    euroTrim: 'Laize',
+    hoursFreedPerYear: 'Heures libérées',
+    euroLabour: "Main-d'œuvre",
+    euroCapacity: 'Capacité en plus',
+    euroTotal: 'Total',
+    euroNet: 'Net vs HaaS',
+  },
+
+  resultsArea: (unit) => `Résultats — ${unit}/an`,
+  resultsMoney: (currency) => `Résultats — ${currency}/an`,
+  results: 'Résultats',
+  total: 'Total',
+  labour: "Main-d'œuvre",
+  extraCapacity: 'Capacité en plus',
+  impactTitle: (substrate) => `Impact — ${substrate}/an`,
+  filmSaved: 'Film économisé',
+  co2eAvoided: 'CO₂e évité',
+  co2eOver: (years) => `CO₂e sur ${years} ans`,
+  eachYear: 'Chaque année, environ autant que',
+  equivalents: {
+    car: ['Trajets en voiture évités', 'km'],
+    flight: ['Allers-retours Paris–New York', 'vols'],
+    tree: ['Arbres absorbant pendant un an', 'arbres'],
+    household: ['Électricité de foyers', 'foyers/an'],
+  },
+  resultsYears: (years) => `Résultats — ${years} ans`,
+  year: 'Année',
+  net: 'Net',
+  cumulative: 'Cumul',
+  npvAt: (rate) => `VAN à ${rate}`,
+  irr: 'TRI',
+  payback: 'Retour sur investissement',
+  paybackAfter: (months) => `> ${months} mois`,
+  paybackMonth: (month) => `Mois ${month}`,
+  notAvailable: 'n.d.',
+
+  pdf: {
+    coverTitle: 'Proposition ROI DeltaOne',
+    coverSubtitle: 'Flexo bande étroite • économies de calage, de laize et de temps machine',
+    disclaimer: "Estimations fondées sur les données de l'annexe. Les économies réelles dépendent de la machine, des travaux et du support.",
+    preparedFor: 'Préparé pour',
+    preparedBy: 'Préparé par',
+    quote: 'Devis',
+    savingsPerYear: 'Économies/an',
+    netPerYear: 'Net vs HaaS/an',
+    resultsSub: (trim) => `Flexo bande étroite • Économies de calage, de laize (${trim}) et de temps machine`,
+    totalSavings: 'Économies totales',
+    resultsPerYear: (currency) => `Résultats (${currency}/an)`,
+    timeFreed: 'Temps machine libéré',
+    timeFreedValue: (hours, jobs) => `${hours} h/an • +${jobs} travaux/an`,
+    projection: (years) => `Projection (${years} ans)`,
+    yearLine: (year, savings, haas) => `Année ${year} : économies ${savings} − HaaS ${haas}`,
+    cumulativeNet: 'Net cumulé',
+    specLine: (name, micron, density, kgPerM2, factor) => `${name} : ${micron} µm, ${density} g/cm³ (${kgPerM2} kg/m²), ${factor} kg CO₂e/kg`,
+    materialSaved: 'Matière économisée par an',
+    sensitivityTitle: (range) => `Sensibilité du net vs HaaS (±${range} %)`,
+    sensitivityBase: (base, range) => `Base : ${base}/an. Les barres montrent le net à −${range} % et +${range} % de chaque facteur.`,
+    breakEvenTitle: "Point d'équilibre (net vs HaaS = 0)",
+    methodology: 'Méthodologie',
+    appendix: 'Annexe — Données',
+    contractYears: (years) => `${years} ans`,
+    substrateInflation: 'Inflation du support',
+    haasEscalation: 'Indexation HaaS',
+    discountRate: "Taux d'actualisation",
+    rampUp: 'Montée en charge',
+    perYearPct: (pct) => `${pct}/an`,
+    rampUpValue: (pct, months) => `${pct} → 100 % en ${months} mois`,
+  },
+
+  method: {
+    label: 'Méthode',
+    headings: { material: 'Matière', time: 'Temps machine', projection: 'Net et projection', sensitivity: 'Sensibilité', sustainability: 'Durabilité' },
+    material: (v) => `Surface (${v.area}) = largeur × longueur. Surface de calage = laize × gâche/arrêt × arrêts évités/travail × travaux/an. Surface ${v.trim} = ${v.trimWidth} × longueur imprimée, où longueur imprimée = vitesse × taux de marche × minutes machine/an. Montant = surface × prix du support.`,
+    time: "Heures libérées = arrêts évités × durée/arrêt. Main-d'œuvre = heures × coût conducteur. Capacité en plus = heures × marge sur coûts variables par heure machine ; la marge est prise après le coût conducteur, les deux lignes s'additionnent donc. Travaux en plus = heures libérées ÷ durée machine actuelle d'un travail.",
+    projection: "Net = économies totales − coût HaaS annuel, après remise de volume ; un achat compte pour son prix réparti sur le contrat plus la maintenance. Sur la durée du contrat, les économies sont mensuelles, en montée en charge la 1re année et indexées sur l'inflation du support ; une redevance annuelle est facturée chaque année d'avance, un abonnement chaque mois, toutes deux indexées, et un achat est payé en totalité au départ. La VAN actualise ces flux au taux indiqué ; le TRI est le taux qui annule la VAN ; le retour sur investissement est le premier mois où le net cumulé devient positif.",
+    sensitivity: "Chaque facteur varie de ± l'amplitude indiquée autour de sa valeur, les autres restant fixes, et est classé selon l'écart de net. Le point d'équilibre résout net = 0 dans la plage valide du facteur.",
+    sustainability: (v) => `kg = m² × épaisseur × densité. CO₂e = kg × facteur « du berceau à la sortie d'usine » de la matière, issu du catalogue. Les équivalences utilisent des moyennes publiques arrondies : voiture ${v.car} kg/km, aller-retour Paris–New York ${v.flight} kg, arbre ${v.tree} kg/an, électricité d'un foyer européen ${v.household} kg/an. Ces chiffres appuient un reporting CSRD mais ne constituent pas une ACV certifiée.`,
+  },
+};
+
+export const MESSAGES: { [L in Lang]: Messages } = { en, fr };
+
+/** Symbol or code the locale prints for a currency, e.g. "£" or "CHF". */
+export function currencySymbol(locale: string, currency: Currency) {
+  const part = new Intl.NumberFormat(locale, { style: 'currency', currency }).formatToParts(0).find((p) => p.type === 'currency');
+  return part?.value ?? currency;
+}